@@ -5,11 +5,20 @@
  * 
  * Features:
  * - Smooth scroll animations with Intersection Observer
+ * - Shared header/footer/booking partials
  * - Mobile menu toggle
- * - Header scroll behavior
+ * - Header scroll behavior and scroll-spy navigation
  * - Parallax effects for hero/activity sections
- * - Scroll reveal animations
+ * - Declarative scroll animations (data-animate)
  * - Touch-friendly interactions
+ * - English / Sinhala language switching
+ * - Offline support via a service worker (sw.js) with an update toast
+ * - Consent-gated analytics events with pluggable sinks
+ * - FAQ, team, blog and legal sections rendered from Markdown / JSON
+ * - Guest reviews carousel, package ratings and a review form
+ * - Day itinerary planner with share links, printing and booking hand-off
+ * - Prices in the visitor's currency from a local rate table, with group rates
+ * - Promo codes and gift vouchers in the booking form (rules in voucher-rules.js)
  */
 
 (function () {
@@ -18,29 +27,157 @@
     // ============================================
     // DOM ELEMENTS
     // ============================================
-    const header = document.getElementById('header');
-    const menuToggle = document.getElementById('menuToggle');
-    const mobileMenu = document.getElementById('mobileMenu');
-    const mobileNavLinks = document.querySelectorAll('.mobile-nav-link');
-    const backToTop = document.getElementById('backToTop');
+    // Header, menu and back-to-top live in partials/header.html,
+    // so they are looked up once the components loader has run
+    let header = null;
+    let menuToggle = null;
+    let mobileMenu = null;
+    let mobileNavLinks = [];
+    let backToTop = null;
+
+    /**
+     * Cache references to the shared component elements
+     */
+    function cacheDomElements() {
+        header = document.getElementById('header');
+        menuToggle = document.getElementById('menuToggle');
+        mobileMenu = document.getElementById('mobileMenu');
+        mobileNavLinks = document.querySelectorAll('.mobile-nav-link');
+        backToTop = document.getElementById('backToTop');
+    }
 
     // ============================================
     // UTILITY FUNCTIONS
     // ============================================
 
     /**
-     * Throttle function to limit execution rate
-     * @param {Function} func - Function to throttle
-     * @param {number} limit - Time limit in ms
-     * @returns {Function} Throttled function
+     * Debounce function so it only runs once calls stop for `wait` ms
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Quiet period in ms
+     * @returns {Function} Debounced function with a cancel() method
+     */
+    function debounce(func, wait) {
+        let timer;
+        const debounced = function (...args) {
+            clearTimeout(timer);
+            timer = setTimeout(() => func.apply(this, args), wait);
+        };
+        debounced.cancel = () => clearTimeout(timer);
+        return debounced;
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @param {*} fallback - Returned when missing, unreadable or storage is unavailable
+     * @returns {*}
+     */
+    function readStorage(key, fallback) {
+        try {
+            const value = localStorage.getItem(key);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage, ignoring quota and private-mode errors
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serialisable value
+     */
+    function writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            // Storage unavailable - value lasts for this page only
+        }
+    }
+
+    /**
+     * Remove a localStorage entry
+     * @param {string} key - Storage key
+     */
+    function removeStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Storage unavailable - nothing to remove
+        }
+    }
+
+    const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    /**
+     * Keep Tab focus inside a dialog or menu while it is open, make the rest of the
+     * page inert so screen readers stay inside too, and hand focus back on release
+     * @param {HTMLElement} container - Dialog or menu element
+     * @param {Object} [options]
+     * @param {HTMLElement[]} [options.include] - Controls outside the container that stay usable, e.g. the button that closes it
+     * @returns {{activate: function(HTMLElement=): void, deactivate: function(): void}}
      */
-    function throttle(func, limit) {
-        let inThrottle;
-        return function (...args) {
-            if (!inThrottle) {
-                func.apply(this, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+    function createFocusTrap(container, { include = [] } = {}) {
+        const regions = [container, ...include];
+        let previousFocus = null;
+        let inertElements = [];
+
+        function getFocusable() {
+            return regions
+                .flatMap(region => [region, ...region.querySelectorAll(FOCUSABLE_SELECTOR)])
+                .filter(el => el.matches(FOCUSABLE_SELECTOR) && !el.closest('[hidden]'))
+                .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+        }
+
+        // The largest subtrees of <body> that hold none of the regions
+        function getBackground() {
+            const background = [];
+            const walk = parent => Array.from(parent.children).forEach(child => {
+                if (regions.includes(child)) return;
+                if (regions.some(region => child.contains(region))) {
+                    walk(child);
+                } else if (!child.hasAttribute('inert')) {
+                    background.push(child);
+                }
+            });
+            walk(document.body);
+            return background;
+        }
+
+        function handleKeydown(e) {
+            if (e.key !== 'Tab') return;
+
+            const focusable = getFocusable();
+            if (!focusable.length) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        return {
+            activate(initialFocus) {
+                previousFocus = document.activeElement;
+                inertElements = getBackground();
+                inertElements.forEach(el => el.setAttribute('inert', ''));
+                document.addEventListener('keydown', handleKeydown);
+                (initialFocus || getFocusable()[0] || container).focus();
+            },
+            deactivate() {
+                document.removeEventListener('keydown', handleKeydown);
+                inertElements.forEach(el => el.removeAttribute('inert'));
+                inertElements = [];
+                if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+                previousFocus = null;
             }
         };
     }
@@ -53,23 +190,314 @@
         return window.matchMedia('(pointer: coarse)').matches;
     }
 
+    // The one reduced-motion switch every animation and smooth scroll checks
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
     /**
      * Check if reduced motion is preferred
      * @returns {boolean}
      */
     function prefersReducedMotion() {
-        return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return reducedMotionQuery.matches;
+    }
+
+    /**
+     * Check if the visitor asked to save data
+     * @returns {boolean}
+     */
+    function prefersReducedData() {
+        return window.matchMedia('(prefers-reduced-data: reduce)').matches;
+    }
+
+    /**
+     * Fetch and parse a local JSON data file
+     * @param {string} url - Path relative to the page
+     * @returns {Promise<*>} Parsed JSON
+     */
+    function fetchJSON(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`${url}: ${response.status}`);
+            return response.json();
+        });
+    }
+
+    /**
+     * Fetch a local text file (e.g. Markdown content)
+     * @param {string} url - Path relative to the page
+     * @returns {Promise<string>}
+     */
+    function fetchText(url) {
+        return fetch(url).then(response => {
+            if (!response.ok) throw new Error(`${url}: ${response.status}`);
+            return response.text();
+        });
+    }
+
+    // ============================================
+    // LANGUAGE SWITCHING (i18n)
+    // ============================================
+
+    const LANG_STORAGE_KEY = 'uac-lang';
+    const DEFAULT_LANG = 'en';
+    const SUPPORTED_LANGS = ['en', 'si'];
+    const LANG_LOCALES = { en: 'en-LK', si: 'si-LK' };
+    const dictionaries = {};
+    // English source text registered by data files (e.g. the activity catalogue)
+    const contentStrings = {};
+    let currentLang = DEFAULT_LANG;
+
+    /**
+     * Read the visitor's saved language, falling back to English
+     * @returns {string} Language code
+     */
+    function getSavedLang() {
+        try {
+            const saved = localStorage.getItem(LANG_STORAGE_KEY);
+            return SUPPORTED_LANGS.includes(saved) ? saved : DEFAULT_LANG;
+        } catch (error) {
+            return DEFAULT_LANG;
+        }
+    }
+
+    /**
+     * Fetch (once) the dictionary for a language from data/i18n
+     * @param {string} lang - Language code
+     * @returns {Promise<Object>} Flat key → string map
+     */
+    function loadDictionary(lang) {
+        if (dictionaries[lang]) return Promise.resolve(dictionaries[lang]);
+
+        return fetchJSON(`data/i18n/${lang}.json`)
+            .then(dictionary => {
+                dictionaries[lang] = dictionary;
+                return dictionary;
+            });
+    }
+
+    /**
+     * Look up a key in the active language, then English, then registered content
+     * @param {string} key - Dictionary key
+     * @returns {string|undefined}
+     */
+    function lookup(key) {
+        const active = dictionaries[currentLang] || {};
+        const fallback = dictionaries[DEFAULT_LANG] || {};
+        return active[key] ?? fallback[key] ?? contentStrings[key];
+    }
+
+    /**
+     * Register English text that lives in a data file rather than en.json,
+     * so translations stay optional and switching back to English works
+     * @param {Object<string, string>} strings - Key → English text
+     */
+    function registerStrings(strings) {
+        Object.assign(contentStrings, strings);
+    }
+
+    /**
+     * Intl locale for the active language (number and date formatting)
+     * @returns {string}
+     */
+    function getLocale() {
+        return LANG_LOCALES[currentLang] || LANG_LOCALES[DEFAULT_LANG];
+    }
+
+    /**
+     * Translate a key, replacing {name} placeholders with params
+     * @param {string} key - Dictionary key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} Translated text, or the key itself if unknown
+     */
+    function t(key, params) {
+        const text = lookup(key) ?? key;
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    /**
+     * Apply the active dictionary to every marked element under root.
+     * data-i18n="key" sets textContent (with optional JSON data-i18n-params);
+     * data-i18n-attr="attr:key;attr:key" sets attributes.
+     * @param {ParentNode} [root=document]
+     */
+    function applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            if (lookup(el.dataset.i18n) === undefined) return;
+            const params = el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined;
+            el.textContent = t(el.dataset.i18n, params);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                const text = lookup(key);
+                if (attr && text !== undefined) el.setAttribute(attr, text);
+            });
+        });
+    }
+
+    /**
+     * Switch the page language, remember it and notify other modules
+     * @param {string} lang - Language code
+     * @returns {Promise<void>}
+     */
+    function setLanguage(lang) {
+        if (!SUPPORTED_LANGS.includes(lang)) lang = DEFAULT_LANG;
+
+        return Promise.all([loadDictionary(DEFAULT_LANG), loadDictionary(lang)])
+            .then(() => {
+                currentLang = lang;
+                document.documentElement.lang = lang;
+                applyTranslations();
+
+                document.querySelectorAll('.lang-select').forEach(select => {
+                    select.value = lang;
+                });
+
+                try {
+                    localStorage.setItem(LANG_STORAGE_KEY, lang);
+                } catch (error) {
+                    // Storage unavailable (private mode) - choice lasts for this page only
+                }
+
+                document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang } }));
+            })
+            .catch(error => {
+                console.warn('Could not switch language:', error);
+            });
+    }
+
+    /**
+     * Wire the footer language selectors and restore the saved language
+     */
+    function initI18n() {
+        document.querySelectorAll('.lang-select').forEach(select => {
+            select.addEventListener('change', () => setLanguage(select.value));
+        });
+
+        setLanguage(getSavedLang());
+    }
+
+    // ============================================
+    // SCROLL & RESIZE SCHEDULER
+    // ============================================
+
+    // Longest gap between frames counted towards velocity; a longer one is a fresh scroll
+    const SCROLL_VELOCITY_WINDOW = 100;
+
+    /**
+     * One shared scroll/resize listener that batches subscriber work per animation frame.
+     * Every subscriber's read() runs before any write(), so layout is measured once
+     * per frame instead of being forced by interleaved style changes.
+     * @returns {{state: Object, subscribe: Function, destroy: Function}}
+     */
+    function createScrollScheduler() {
+        const subscribers = new Set();
+        // direction: 1 = down, -1 = up, 0 = not scrolled yet; velocity in px/ms
+        const state = { y: window.scrollY, direction: 0, velocity: 0, viewportHeight: window.innerHeight };
+        let frame = null;
+        let lastFrameTime = 0;
+        let scrolled = false;
+        let resized = false;
+        let listening = false;
+
+        function flush(time) {
+            frame = null;
+
+            const y = window.scrollY;
+            const elapsed = time - lastFrameTime;
+            state.velocity = elapsed > 0 && elapsed < SCROLL_VELOCITY_WINDOW ? (y - state.y) / elapsed : 0;
+            if (y !== state.y) state.direction = y > state.y ? 1 : -1;
+            state.y = y;
+            state.viewportHeight = window.innerHeight;
+            lastFrameTime = time;
+
+            const due = [...subscribers].filter(subscriber => subscriber.pending
+                || (scrolled && subscriber.scroll) || (resized && subscriber.resize));
+            scrolled = resized = false;
+
+            const measurements = due.map(subscriber => {
+                subscriber.pending = false;
+                return subscriber.read ? subscriber.read(state) : undefined;
+            });
+            due.forEach((subscriber, index) => {
+                if (subscriber.write) subscriber.write(measurements[index], state);
+            });
+        }
+
+        function requestFlush() {
+            if (frame === null) frame = requestAnimationFrame(flush);
+        }
+
+        function handleScroll() {
+            scrolled = true;
+            requestFlush();
+        }
+
+        function handleResize() {
+            resized = true;
+            requestFlush();
+        }
+
+        function listen(on) {
+            if (listening === on) return;
+            listening = on;
+            const method = on ? 'addEventListener' : 'removeEventListener';
+            window[method]('scroll', handleScroll, { passive: true });
+            window[method]('resize', handleResize, { passive: true });
+        }
+
+        return {
+            state,
+
+            /**
+             * Run read(state) then write(measurement, state) on the next frame
+             * and again on every frame with a scroll and/or resize
+             * @param {Object} subscriber
+             * @param {Function} [subscriber.read] - Layout reads only
+             * @param {Function} [subscriber.write] - DOM writes only
+             * @param {boolean} [subscriber.scroll=true]
+             * @param {boolean} [subscriber.resize=false]
+             * @returns {Function} Unsubscribe
+             */
+            subscribe({ read, write, scroll = true, resize = false }) {
+                const subscriber = { read, write, scroll, resize, pending: true };
+                subscribers.add(subscriber);
+                listen(true);
+                requestFlush();
+
+                return () => {
+                    subscribers.delete(subscriber);
+                    if (!subscribers.size) listen(false);
+                };
+            },
+
+            destroy() {
+                subscribers.clear();
+                listen(false);
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+            }
+        };
     }
 
+    const scrollScheduler = createScrollScheduler();
+
     // ============================================
     // HEADER SCROLL BEHAVIOR
     // ============================================
 
+    // The header only hides once the visitor is this far down the page
+    const HEADER_HIDE_OFFSET = 300;
+
     /**
-     * Handle header background on scroll
+     * Handle header background on scroll, and hide it while scrolling down
+     * @param {Object} state - Scroll scheduler state
      */
-    function handleHeaderScroll() {
-        const scrollY = window.scrollY;
+    function handleHeaderScroll(state) {
+        if (!header) return;
+
+        const scrollY = state.y;
         const threshold = 50;
 
         if (scrollY > threshold) {
@@ -77,11 +505,92 @@
         } else {
             header.classList.remove('scrolled');
         }
+
+        // Keep it in view while the menu is open or the header has keyboard focus
+        const menuOpen = mobileMenu && mobileMenu.classList.contains('active');
+        const hidden = state.direction === 1 && scrollY > HEADER_HIDE_OFFSET
+            && !menuOpen && !header.contains(document.activeElement);
+        header.classList.toggle('is-hidden', hidden);
+    }
+
+    /**
+     * Start tracking scroll for the header and set its initial state
+     */
+    function initHeaderScroll() {
+        if (!header) return;
+
+        handleHeaderScroll(scrollScheduler.state);
+        scrollScheduler.subscribe({ write: (measurement, state) => handleHeaderScroll(state) });
+
+        // Tabbing into a hidden header brings it back
+        header.addEventListener('focusin', () => header.classList.remove('is-hidden'));
+    }
+
+    // ============================================
+    // SCROLL SPY
+    // ============================================
+
+    // Sections with data-nav-section="<data-nav key>" are tracked; an empty key tracks
+    // the section for the URL hash without highlighting a link
+    const SPY_SECTION_SELECTOR = '[data-nav-section][id]';
+    // How far below the header (as a fraction of the viewport) a section counts as being read
+    const SPY_READING_LINE = 0.3;
+
+    /**
+     * Pick the section being read: the last one whose top has passed the reading line,
+     * or the last one on the page once the bottom is reached (a short footer never gets there)
+     * @param {HTMLElement[]} sections - In document order
+     * @param {Object} state - Scroll scheduler state
+     * @returns {HTMLElement|null}
+     */
+    function findSpiedSection(sections, state) {
+        const atBottom = state.y + state.viewportHeight >= document.documentElement.scrollHeight - 2;
+        if (atBottom && state.y > 0) return sections[sections.length - 1];
+
+        const line = (header ? header.offsetHeight : 0) + state.viewportHeight * SPY_READING_LINE;
+        return sections.reduce((current, section) => (
+            section.getBoundingClientRect().top <= line ? section : current
+        ), null);
+    }
+
+    /**
+     * Mirror the section in view in the URL hash without adding history entries.
+     * Hashes that mean something else (#photo-3, #video, #/kayaking) are left alone.
+     * @param {HTMLElement[]} sections
+     * @param {HTMLElement|null} section
+     */
+    function updateSpyHash(sections, section) {
+        const hash = window.location.hash;
+        if (hash && !sections.some(candidate => `#${candidate.id}` === hash)) return;
+
+        const next = section ? `#${section.id}` : '';
+        if (next !== hash) {
+            history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${next}`);
+        }
     }
 
-    // Throttled scroll handler for performance
-    const throttledHeaderScroll = throttle(handleHeaderScroll, 16);
-    window.addEventListener('scroll', throttledHeaderScroll, { passive: true });
+    /**
+     * Highlight the nav link for the section in view and keep the hash in step with it
+     */
+    function initScrollSpy() {
+        const sections = [...document.querySelectorAll(SPY_SECTION_SELECTOR)];
+        if (!sections.length) return;
+
+        // undefined until the first measurement, which must not rewrite the hash
+        let activeSection;
+
+        scrollScheduler.subscribe({
+            read: state => findSpiedSection(sections, state),
+            write: section => {
+                if (section === activeSection) return;
+
+                if (activeSection !== undefined) updateSpyHash(sections, section);
+                activeSection = section;
+                setActiveNavLink(section ? section.dataset.navSection : '');
+            },
+            resize: true
+        });
+    }
 
     // ============================================
     // BACK TO TOP BUTTON
@@ -89,9 +598,12 @@
 
     /**
      * Handle back to top button visibility
+     * @param {Object} state - Scroll scheduler state
      */
-    function handleBackToTop() {
-        const scrollY = window.scrollY;
+    function handleBackToTop(state) {
+        if (!backToTop) return;
+
+        const scrollY = state.y;
         const threshold = 500;
 
         if (scrollY > threshold) {
@@ -111,19 +623,27 @@
         });
     }
 
-    // Back to top scroll handler
-    const throttledBackToTop = throttle(handleBackToTop, 16);
-    window.addEventListener('scroll', throttledBackToTop, { passive: true });
+    /**
+     * Wire the back to top button
+     */
+    function initBackToTop() {
+        if (!backToTop) return;
 
-    // Back to top click handler
-    if (backToTop) {
         backToTop.addEventListener('click', scrollToTop);
+        handleBackToTop(scrollScheduler.state);
+        scrollScheduler.subscribe({ write: (measurement, state) => handleBackToTop(state) });
     }
 
     // ============================================
     // MOBILE MENU
     // ============================================
 
+    // The tablet breakpoint in style.css, where the desktop nav replaces the menu
+    const desktopNavQuery = window.matchMedia('(min-width: 768px)');
+
+    // Created by initMobileMenu; the toggle stays usable so the menu can be closed with it
+    let mobileMenuTrap = null;
+
     /**
      * Toggle mobile menu open/close
      */
@@ -138,119 +658,221 @@
     }
 
     /**
-     * Open mobile menu
+     * Open mobile menu and move focus to its first link
      */
     function openMobileMenu() {
         menuToggle.classList.add('active');
+        menuToggle.setAttribute('aria-expanded', 'true');
         mobileMenu.classList.add('active');
         document.body.style.overflow = 'hidden';
+        mobileMenuTrap.activate(mobileNavLinks[0]);
     }
 
     /**
-     * Close mobile menu
+     * Close mobile menu and return focus to where it was
      */
     function closeMobileMenu() {
+        if (!mobileMenu.classList.contains('active')) return;
+
         menuToggle.classList.remove('active');
+        menuToggle.setAttribute('aria-expanded', 'false');
         mobileMenu.classList.remove('active');
         document.body.style.overflow = '';
+        mobileMenuTrap.deactivate();
     }
 
-    // Menu toggle click handler
-    menuToggle.addEventListener('click', toggleMobileMenu);
+    /**
+     * Wire the mobile menu toggle, links, backdrop and escape key
+     */
+    function initMobileMenu() {
+        if (!menuToggle || !mobileMenu) return;
 
-    // Close menu when clicking nav links
-    mobileNavLinks.forEach(link => {
-        link.addEventListener('click', closeMobileMenu);
-    });
+        mobileMenuTrap = createFocusTrap(mobileMenu, { include: [menuToggle] });
 
-    // Close menu when clicking outside
-    mobileMenu.addEventListener('click', (e) => {
-        if (e.target === mobileMenu) {
-            closeMobileMenu();
-        }
-    });
+        // Menu toggle click handler
+        menuToggle.addEventListener('click', toggleMobileMenu);
 
-    // Close menu on escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && mobileMenu.classList.contains('active')) {
-            closeMobileMenu();
-        }
-    });
+        // Close menu when clicking nav links
+        mobileNavLinks.forEach(link => {
+            link.addEventListener('click', closeMobileMenu);
+        });
+
+        // Close menu when clicking outside
+        mobileMenu.addEventListener('click', (e) => {
+            if (e.target === mobileMenu) {
+                closeMobileMenu();
+            }
+        });
+
+        // Close menu on escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && mobileMenu.classList.contains('active')) {
+                closeMobileMenu();
+            }
+        });
+
+        // The overlay is hidden on wider screens, so don't leave the page trapped behind it
+        desktopNavQuery.addEventListener('change', (e) => {
+            if (e.matches) closeMobileMenu();
+        });
+    }
 
     // ============================================
     // SMOOTH SCROLL FOR ANCHOR LINKS
     // ============================================
 
+    /**
+     * Scroll to an element, leaving room for the fixed header
+     * @param {HTMLElement} targetElement - Element to bring into view
+     */
+    function scrollToElement(targetElement) {
+        const headerHeight = header ? header.offsetHeight : 0;
+        const targetPosition = targetElement.getBoundingClientRect().top + window.scrollY - headerHeight;
+
+        window.scrollTo({
+            top: targetPosition,
+            behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+        });
+    }
+
     /**
      * Smooth scroll to target element
      * @param {Event} e - Click event
      */
     function handleSmoothScroll(e) {
-        const link = e.currentTarget;
-        const href = link.getAttribute('href');
+        const link = e.target.closest('a[href^="#"]');
+        const href = link && link.getAttribute('href');
 
-        if (href && href.startsWith('#')) {
+        if (href) {
             const targetId = href.substring(1);
             const targetElement = document.getElementById(targetId);
 
             if (targetElement) {
                 e.preventDefault();
-
-                const headerHeight = header.offsetHeight;
-                const targetPosition = targetElement.getBoundingClientRect().top + window.scrollY - headerHeight;
-
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: prefersReducedMotion() ? 'auto' : 'smooth'
-                });
+                scrollToElement(targetElement);
             }
         }
     }
 
-    // Attach smooth scroll to all anchor links
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', handleSmoothScroll);
-    });
+    /**
+     * Smooth scroll for in-page links, including those in sections rendered later
+     */
+    function initSmoothScroll() {
+        document.addEventListener('click', handleSmoothScroll);
+    }
 
     // ============================================
-    // SCROLL REVEAL ANIMATIONS
+    // DECLARATIVE ANIMATIONS
     // ============================================
+    // Markup opts in with data-animate="fade-up"; the effect plays when the element
+    // scrolls into view. data-delay and data-duration (ms) tune it, data-stagger="80"
+    // plays it on each child in turn (children rendered later included) and
+    // data-replay runs it again whenever the element re-enters the viewport.
+
+    const ANIMATION_DEFAULT_DURATION = 700;
+
+    // Web Animations keyframes; effects starting with "fade" are hidden until they play (see style.css)
+    const ANIMATION_EFFECTS = {
+        'fade-in': [{ opacity: 0 }, { opacity: 1 }],
+        'fade-up': [{ opacity: 0, transform: 'translateY(40px)' }, { opacity: 1, transform: 'none' }],
+        'fade-up-sm': [{ opacity: 0, transform: 'translateY(20px)' }, { opacity: 1, transform: 'none' }],
+        'fade-right': [{ opacity: 0, transform: 'translateX(-30px)' }, { opacity: 1, transform: 'none' }],
+        'fade-left': [{ opacity: 0, transform: 'translateX(30px)' }, { opacity: 1, transform: 'none' }],
+        'fade-zoom-out': [{ opacity: 0, transform: 'scale(1.18)' }, { opacity: 1, transform: 'scale(1.08)' }],
+        'zoom-out': [{ transform: 'scale(1.12)' }, { transform: 'scale(1.08)' }]
+    };
+
+    let animationObserver = null;
 
     /**
-     * Initialize scroll reveal animations using Intersection Observer
+     * The element itself, or its children for a data-stagger group
+     * @param {HTMLElement} el
+     * @returns {HTMLElement[]}
      */
-    function initScrollReveal() {
-        if (prefersReducedMotion()) return;
+    function getAnimationTargets(el) {
+        return 'stagger' in el.dataset ? Array.from(el.children) : [el];
+    }
 
-        const revealElements = document.querySelectorAll(
-            '.section-header, .experience-card, .plan-item, .review-card, .contact-content'
-        );
+    /**
+     * Play an element's effect
+     * @param {HTMLElement} el
+     */
+    function playAnimation(el) {
+        const keyframes = ANIMATION_EFFECTS[el.dataset.animate] || ANIMATION_EFFECTS['fade-in'];
+        const delay = Number(el.dataset.delay) || 0;
+        const stagger = Number(el.dataset.stagger) || 0;
+        const duration = Number(el.dataset.duration) || ANIMATION_DEFAULT_DURATION;
 
-        const revealObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('revealed');
-                    revealObserver.unobserve(entry.target);
-                }
-            });
-        }, {
-            root: null,
-            rootMargin: '0px 0px -10% 0px',
-            threshold: 0.1
+        el.classList.remove('is-pending');
+        el.classList.add('is-animated');
+        if (typeof el.animate !== 'function') return;
+
+        getAnimationTargets(el).forEach((target, index) => {
+            // "backwards" holds the first frame through the delay and leaves no styles behind
+            target.animate(keyframes, { duration, delay: delay + index * stagger, easing: 'ease', fill: 'backwards' });
         });
+    }
+
+    /**
+     * Put an element back in its pre-animation state
+     * @param {HTMLElement} el
+     * @param {boolean} pending - Hide it again (replay) or leave it shown (motion switched off)
+     */
+    function resetAnimation(el, pending) {
+        if (typeof el.getAnimations === 'function') {
+            getAnimationTargets(el).forEach(target => target.getAnimations().forEach(animation => animation.cancel()));
+        }
+        el.classList.toggle('is-pending', pending);
+        el.classList.toggle('is-animated', !pending);
+    }
 
-        revealElements.forEach((el, index) => {
-            el.classList.add('scroll-reveal');
-            // Add stagger delay for cards
-            if (el.classList.contains('experience-card') || el.classList.contains('review-card')) {
-                el.classList.add(`stagger-${(index % 6) + 1}`);
+    function handleAnimationEntries(entries) {
+        entries.forEach(entry => {
+            const el = entry.target;
+            const replay = 'replay' in el.dataset;
+
+            if (entry.isIntersecting) {
+                if (!el.classList.contains('is-animated')) playAnimation(el);
+                if (!replay) animationObserver.unobserve(el);
+            } else if (replay && el.classList.contains('is-animated')) {
+                resetAnimation(el, true);
             }
-            revealObserver.observe(el);
         });
     }
 
-    // Initialize scroll reveal
-    initScrollReveal();
+    /**
+     * Register the [data-animate] elements under root. Safe to call again once
+     * more content is rendered: elements already registered are skipped.
+     * @param {ParentNode} [root=document]
+     */
+    function initAnimations(root = document) {
+        if (prefersReducedMotion() || !('IntersectionObserver' in window)) return;
+
+        if (!animationObserver) {
+            animationObserver = new IntersectionObserver(handleAnimationEntries, {
+                root: null,
+                rootMargin: '0px 0px -10% 0px',
+                threshold: 0.1
+            });
+        }
+
+        root.querySelectorAll('[data-animate]:not(.is-pending):not(.is-animated)').forEach(el => {
+            el.classList.add('is-pending');
+            animationObserver.observe(el);
+        });
+    }
+
+    // Turning reduced motion on mid-visit shows everything at once
+    reducedMotionQuery.addEventListener('change', () => {
+        if (!prefersReducedMotion() || !animationObserver) return;
+
+        animationObserver.disconnect();
+        animationObserver = null;
+        document.querySelectorAll('[data-animate]').forEach(el => resetAnimation(el, false));
+    });
+
+    // Initialize animations
+    initAnimations();
 
     // ============================================
     // PARALLAX EFFECTS
@@ -282,365 +904,4609 @@
             parallaxObserver.observe(section);
         });
 
-        // Parallax scroll handler
-        let ticking = false;
-
-        function updateParallax() {
-            const scrollY = window.scrollY;
-
-            parallaxSections.forEach(section => {
-                if (section.dataset.parallaxActive !== 'true') return;
+        /**
+         * Measure how far each visible section sits from the viewport centre
+         * @param {Object} state - Scroll scheduler state
+         * @returns {Array<{bg: HTMLElement, distance: number}>}
+         */
+        function measureParallax(state) {
+            return [...parallaxSections].flatMap(section => {
+                if (section.dataset.parallaxActive !== 'true') return [];
 
                 const bg = section.querySelector('.hero-bg img, .activity-bg img, .transition-bg img');
-                if (!bg) return;
+                if (!bg) return [];
 
                 const rect = section.getBoundingClientRect();
                 const sectionCenter = rect.top + rect.height / 2;
-                const viewportCenter = window.innerHeight / 2;
-                const distance = (sectionCenter - viewportCenter) / window.innerHeight;
+                const viewportCenter = state.viewportHeight / 2;
+                return [{ bg, distance: (sectionCenter - viewportCenter) / state.viewportHeight }];
+            });
+        }
 
+        scrollScheduler.subscribe({
+            read: measureParallax,
+            write: layers => layers.forEach(({ bg, distance }) => {
                 // Subtle parallax movement (max 20px)
                 const translateY = distance * -20;
                 bg.style.transform = `translateY(${translateY}px) scale(1.08)`;
-            });
-
-            ticking = false;
-        }
+            }),
+            resize: true
+        });
+    }
 
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                requestAnimationFrame(updateParallax);
-                ticking = true;
+    // Initialize parallax
+    initParallax();
+
+    // ============================================
+    // CARD HOVER EFFECTS (Desktop only)
+    // ============================================
+
+    /**
+     * Add enhanced hover effects for experience cards
+     * @param {ParentNode} [root=document] - Limit to cards rendered later
+     */
+    function initCardHoverEffects(root = document) {
+        if (isTouchDevice()) return;
+
+        const cards = root.querySelectorAll('.experience-card');
+
+        cards.forEach(card => {
+            card.addEventListener('mouseenter', () => {
+                card.style.transform = 'translateY(-8px) scale(1.02)';
+            });
+
+            card.addEventListener('mouseleave', () => {
+                card.style.transform = '';
+            });
+        });
+    }
+
+    // Initialize card hover effects
+    initCardHoverEffects();
+
+    // ============================================
+    // RESPONSIVE IMAGES
+    // ============================================
+
+    // Built by scripts/build-images.js: size, variant widths/formats and blurred placeholder per image
+    const IMAGE_MANIFEST_URL = 'data/images.json';
+    // Tiny images used to detect format support, best format first
+    const IMAGE_FORMAT_PROBES = {
+        avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+        webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+    };
+    // Shown in place of an image that fails to load
+    const IMAGE_FALLBACK_SRC = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#6B746B" stroke-width="1.5">' +
+        '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>'
+    );
+    // The logo is small already and the lightbox sets its own image
+    const IMAGE_SKIP_SELECTOR = '.logo-img, .logo-img-footer, [data-lightbox-image]';
+
+    let imageManifestPromise = null;
+
+    /**
+     * Fetch (once) the image manifest; an empty one if it has not been built
+     * @returns {Promise<Object<string, Object>>} Image path → entry
+     */
+    function loadImageManifest() {
+        if (!imageManifestPromise) {
+            imageManifestPromise = fetchJSON(IMAGE_MANIFEST_URL)
+                .then(data => data.images || {})
+                .catch(error => {
+                    console.warn('Image manifest not loaded, serving original images:', error);
+                    return {};
+                });
+        }
+        return imageManifestPromise;
+    }
+
+    /**
+     * Check whether the browser decodes an image format
+     * @param {string} probe - Data URI of a 1x1 image
+     * @returns {Promise<boolean>}
+     */
+    function supportsImageFormat(probe) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve(img.width > 0);
+            img.onerror = () => resolve(false);
+            img.src = probe;
+        });
+    }
+
+    /**
+     * The best modern format this browser supports
+     * @returns {Promise<string|null>}
+     */
+    async function detectImageFormat() {
+        for (const [format, probe] of Object.entries(IMAGE_FORMAT_PROBES)) {
+            if (await supportsImageFormat(probe)) return format;
+        }
+        return null;
+    }
+
+    /**
+     * Swap a broken image for a neutral placeholder
+     * @param {HTMLImageElement} img
+     */
+    function showImageFallback(img) {
+        if (img.classList.contains('img-broken')) return;
+
+        img.removeAttribute('srcset');
+        img.classList.remove('img-fade');
+        img.classList.add('img-broken');
+        img.src = IMAGE_FALLBACK_SRC;
+    }
+
+    /**
+     * Size hint for srcset: the image's rendered width, or the viewport before layout
+     * @param {HTMLImageElement} img
+     * @param {number} [width] - Already measured width, to skip a layout read
+     */
+    function updateImageSizes(img, width = Math.ceil(img.getBoundingClientRect().width)) {
+        img.sizes = width ? `${width}px` : '100vw';
+    }
+
+    /**
+     * Give an image its srcset, reserved size, placeholder and error fallback
+     * @param {HTMLImageElement} img
+     * @param {Object<string, Object>} manifest
+     * @param {string|null} format - Best supported modern format
+     */
+    function enhanceImage(img, manifest, format) {
+        if ('imageEnhanced' in img.dataset || img.matches(IMAGE_SKIP_SELECTOR)) return;
+        img.dataset.imageEnhanced = '';
+
+        // Already failed before the script ran
+        if (img.complete && img.getAttribute('src') && img.naturalWidth === 0) {
+            showImageFallback(img);
+            return;
+        }
+        img.addEventListener('error', function handleError() {
+            // Variants are built at deploy time; without them (e.g. a plain checkout) use the original
+            if (img.hasAttribute('srcset')) {
+                img.removeAttribute('srcset');
+                return;
+            }
+            img.removeEventListener('error', handleError);
+            showImageFallback(img);
+        });
+
+        const src = img.getAttribute('src');
+        const entry = manifest[src];
+        if (!entry) return;
+
+        if (!img.hasAttribute('width')) {
+            img.width = entry.width;
+            img.height = entry.height;
+        }
+
+        if (entry.widths && entry.widths.length) {
+            // formats ends with the original format, the fallback when no modern one is supported
+            const variant = entry.formats.includes(format) ? format : entry.formats[entry.formats.length - 1];
+            const candidates = entry.widths.map(width => `${encodeURI(`${entry.base}-${width}.${variant}`)} ${width}w`);
+            candidates.push(`${encodeURI(src)} ${entry.width}w`);
+
+            updateImageSizes(img);
+            img.srcset = candidates.join(', ');
+        }
+
+        // Blurred preview behind the image until it arrives
+        if (entry.placeholder && !img.complete && img.parentElement) {
+            img.parentElement.style.backgroundImage = `url("${entry.placeholder}")`;
+            img.parentElement.classList.add('img-placeholder');
+            img.classList.add('img-fade');
+            img.addEventListener('load', () => img.classList.add('is-loaded'), { once: true });
+        }
+    }
+
+    /**
+     * Enhance every image on the page now and as partials, cards and gallery photos are added
+     */
+    function initResponsiveImages() {
+        Promise.all([loadImageManifest(), detectImageFormat()]).then(([manifest, format]) => {
+            const enhanceAll = root => {
+                if (root.tagName === 'IMG') enhanceImage(root, manifest, format);
+                if (root.querySelectorAll) root.querySelectorAll('img').forEach(img => enhanceImage(img, manifest, format));
+            };
+
+            enhanceAll(document);
+
+            new MutationObserver(mutations => {
+                mutations.forEach(mutation => mutation.addedNodes.forEach(enhanceAll));
+            }).observe(document.body, { childList: true, subtree: true });
+
+            scrollScheduler.subscribe({
+                read: () => [...document.querySelectorAll('img[srcset][data-image-enhanced]')]
+                    .map(img => ({ img, width: Math.ceil(img.getBoundingClientRect().width) })),
+                write: images => images.forEach(({ img, width }) => updateImageSizes(img, width)),
+                scroll: false,
+                resize: true
+            });
+        });
+    }
+
+    // Initialize responsive images
+    initResponsiveImages();
+
+    // ============================================
+    // PERFORMANCE OPTIMIZATION
+    // ============================================
+
+    /**
+     * Cleanup function for page unload
+     */
+    function cleanup() {
+        // Drops the shared scroll/resize listeners and every subscriber
+        scrollScheduler.destroy();
+    }
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', cleanup);
+
+    // ============================================
+    // CONSOLE WELCOME MESSAGE
+    // ============================================
+
+    // ============================================
+    // ACTIVITY CATALOGUE
+    // ============================================
+
+    const ACTIVITY_CATALOGUE_URL = 'data/activities.json';
+    // Dictionary prefix per catalogue entry type, e.g. activity.kayaking.title
+    const CATALOGUE_I18N_PREFIX = { activity: 'activity', package: 'packages' };
+    const CATALOGUE_TEXT_FIELDS = ['title', 'description', 'duration'];
+
+    const META_ICONS = {
+        duration: '<circle cx="12" cy="12" r="10" /><path d="M12 6v6l4 2" />',
+        easy: '<path d="M12 2L2 7l10 5 10-5-10-5zM2 17l10 5 10-5M2 12l10 5 10-5" />',
+        moderate: '<path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" />',
+        active: '<path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" />',
+        ages: '<path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" /><circle cx="9" cy="7" r="4" /><path d="M23 21v-2a4 4 0 0 0-3-3.87" />',
+        price: '<path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z" /><circle cx="7" cy="7" r="1" />'
+    };
+
+    let cataloguePromise = null;
+
+    /**
+     * Dictionary key for a catalogue entry's text field
+     * @param {Object} entry - Activity or package
+     * @param {string} field - title | description | duration | gallery.N | faq.N.question | faq.N.answer
+     * @returns {string}
+     */
+    function catalogueKey(entry, field) {
+        return `${CATALOGUE_I18N_PREFIX[entry.type]}.${entry.id}.${field}`;
+    }
+
+    /**
+     * Translated text for a catalogue entry (English from the catalogue when untranslated)
+     * @param {Object} entry
+     * @param {string} field
+     * @returns {string}
+     */
+    function catalogueText(entry, field) {
+        return t(catalogueKey(entry, field));
+    }
+
+    /**
+     * Fetch (once) data/activities.json, tag each entry with its type and
+     * register the English text so data-i18n works for rendered cards
+     * @returns {Promise<{activities: Object[], packages: Object[]}>}
+     */
+    function loadCatalogue() {
+        if (cataloguePromise) return cataloguePromise;
+
+        cataloguePromise = fetchJSON(ACTIVITY_CATALOGUE_URL).then(data => {
+            const catalogue = {
+                activities: (data.activities || []).map(entry => ({ ...entry, type: 'activity' })),
+                packages: (data.packages || []).map(entry => ({ ...entry, type: 'package' }))
+            };
+
+            const strings = {};
+            [...catalogue.activities, ...catalogue.packages].forEach(entry => {
+                CATALOGUE_TEXT_FIELDS.forEach(field => {
+                    strings[catalogueKey(entry, field)] = entry[field];
+                });
+                (entry.gallery || []).forEach((photo, index) => {
+                    strings[catalogueKey(entry, `gallery.${index}`)] = photo.alt;
+                });
+                (entry.faq || []).forEach((item, index) => {
+                    strings[catalogueKey(entry, `faq.${index}.question`)] = item.question;
+                    strings[catalogueKey(entry, `faq.${index}.answer`)] = item.answer;
+                });
+            });
+            registerStrings(strings);
+
+            return catalogue;
+        });
+
+        return cataloguePromise;
+    }
+
+    /**
+     * Build a span whose text follows the active language
+     * @param {string} key - Dictionary key
+     * @param {Object} [params] - Placeholder values
+     * @returns {HTMLSpanElement}
+     */
+    function createTranslatedSpan(key, params) {
+        const span = document.createElement('span');
+        span.dataset.i18n = key;
+        if (params) span.dataset.i18nParams = JSON.stringify(params);
+        span.textContent = t(key, params);
+        return span;
+    }
+
+    /**
+     * Difficulty and age labels shared by both card styles
+     * @param {Object} entry
+     * @returns {{difficulty: HTMLSpanElement, ages: HTMLSpanElement}}
+     */
+    function createEntryMeta(entry) {
+        return {
+            difficulty: createTranslatedSpan(`meta.${entry.difficulty}`),
+            ages: entry.minAge ? createTranslatedSpan('meta.minAge', { age: entry.minAge }) : createTranslatedSpan('meta.allAges')
+        };
+    }
+
+    /**
+     * Wrap a meta label with its icon for the activities page
+     * @param {string} icon - Key of META_ICONS
+     * @param {HTMLElement} label
+     * @returns {HTMLSpanElement}
+     */
+    function createMetaItem(icon, label) {
+        const item = document.createElement('span');
+        item.className = 'activity-meta-item';
+        item.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${META_ICONS[icon]}</svg>`;
+        item.appendChild(label);
+        return item;
+    }
+
+    /**
+     * Render the full activity cards (activities.html)
+     * @param {Object[]} activities
+     * @returns {HTMLElement[]}
+     */
+    function renderActivityCards(activities) {
+        return activities.map((activity, index) => {
+            const card = document.createElement('article');
+            card.className = 'activity-detail-card';
+            card.id = activity.id;
+            // Alternate image and text sides, starting with the image on the right
+            card.classList.toggle('is-reversed', index % 2 === 0);
+
+            const imageWrap = document.createElement('div');
+            imageWrap.className = 'activity-detail-image';
+            const img = document.createElement('img');
+            img.src = activity.image;
+            img.alt = catalogueText(activity, 'title');
+            img.loading = 'lazy';
+            img.dataset.i18nAttr = `alt:${catalogueKey(activity, 'title')}`;
+            imageWrap.appendChild(img);
+
+            const content = document.createElement('div');
+            content.className = 'activity-detail-content';
+
+            const title = document.createElement('h2');
+            title.dataset.i18n = catalogueKey(activity, 'title');
+            title.textContent = catalogueText(activity, 'title');
+
+            const { difficulty, ages } = createEntryMeta(activity);
+            const metaRow = document.createElement('div');
+            metaRow.className = 'activity-meta-row';
+            metaRow.append(
+                createMetaItem('duration', createTranslatedSpan(catalogueKey(activity, 'duration'))),
+                createMetaItem(activity.difficulty, difficulty),
+                createMetaItem('ages', ages),
+                createMetaItem('price', createCardPrice(activity))
+            );
+
+            const description = document.createElement('p');
+            description.dataset.i18n = catalogueKey(activity, 'description');
+            description.textContent = catalogueText(activity, 'description');
+
+            const actions = document.createElement('div');
+            actions.className = 'activity-detail-actions';
+
+            if (activity.bookable) {
+                const bookLink = document.createElement('a');
+                bookLink.href = '#book';
+                bookLink.className = 'btn btn-primary';
+                bookLink.dataset.bookActivity = activity.id;
+                bookLink.dataset.i18n = 'common.bookNow';
+                bookLink.textContent = t('common.bookNow');
+                actions.append(bookLink, createPlanToggle(activity));
+            }
+
+            const detailLink = document.createElement('a');
+            detailLink.href = `#/${activity.id}`;
+            detailLink.className = 'btn btn-secondary activity-detail-link';
+            detailLink.dataset.i18n = 'activityDetail.open';
+            detailLink.textContent = t('activityDetail.open');
+            actions.appendChild(detailLink);
+
+            content.append(title, metaRow, description, actions);
+
+            card.append(imageWrap, content);
+            return card;
+        });
+    }
+
+    /**
+     * Render the package cards for the home page experience grid
+     * @param {Object[]} packages
+     * @returns {HTMLElement[]}
+     */
+    function renderExperienceCards(packages) {
+        return packages.map(pkg => {
+            const card = document.createElement('article');
+            card.className = 'experience-card';
+            card.dataset.package = pkg.id;
+
+            const imageWrap = document.createElement('div');
+            imageWrap.className = 'card-image';
+            const img = document.createElement('img');
+            img.src = pkg.image;
+            img.alt = catalogueText(pkg, 'title');
+            img.loading = 'lazy';
+            img.dataset.i18nAttr = `alt:${catalogueKey(pkg, 'title')}`;
+            imageWrap.appendChild(img);
+
+            const content = document.createElement('div');
+            content.className = 'card-content';
+
+            const title = document.createElement('h3');
+            title.className = 'card-title';
+            title.dataset.i18n = catalogueKey(pkg, 'title');
+            title.textContent = catalogueText(pkg, 'title');
+
+            const description = document.createElement('p');
+            description.className = 'card-description';
+            description.dataset.i18n = catalogueKey(pkg, 'description');
+            description.textContent = catalogueText(pkg, 'description');
+
+            const meta = document.createElement('div');
+            meta.className = 'card-meta';
+            const duration = createTranslatedSpan(catalogueKey(pkg, 'duration'));
+            const { difficulty } = createEntryMeta(pkg);
+            const price = createCardPrice(pkg);
+            [duration, difficulty, price].forEach(item => item.classList.add('meta-item'));
+            price.classList.add('card-price');
+            meta.append(duration, difficulty, price);
+
+            // Single-activity packages link straight to that activity's card
+            const link = document.createElement('a');
+            link.className = 'card-link';
+            link.href = pkg.includes && pkg.includes.length === 1 ? `activities.html#${pkg.includes[0]}` : 'activities.html';
+            link.dataset.i18n = 'card.viewDetails';
+            link.textContent = t('card.viewDetails');
+
+            content.append(title, description, meta, link);
+            card.append(imageWrap, content);
+            return card;
+        });
+    }
+
+    /**
+     * Fill every [data-catalogue] container on the page from the catalogue.
+     * Containers keep their static fallback if the catalogue cannot be loaded.
+     * @returns {Promise<void>}
+     */
+    function initCatalogue() {
+        const containers = document.querySelectorAll('[data-catalogue]');
+        if (!containers.length) return Promise.resolve();
+
+        return loadCatalogue()
+            .then(catalogue => {
+                containers.forEach(container => {
+                    if (container.dataset.catalogue === 'activities') {
+                        container.replaceChildren(...renderActivityCards(catalogue.activities));
+                        initActivityFilters(container, catalogue.activities);
+                        initActivityRoutes(catalogue.activities);
+                        initItineraryPlanner(catalogue.activities);
+                    } else if (container.dataset.catalogue === 'packages') {
+                        container.replaceChildren(...renderExperienceCards(catalogue.packages));
+                        initCardHoverEffects(container);
+                        showPackageRatings(container, catalogue.packages);
+                    }
+                });
+            })
+            .catch(error => {
+                console.warn('Could not load the activity catalogue:', error);
+            });
+    }
+
+    // ============================================
+    // ACTIVITY FILTERS (activities.html)
+    // ============================================
+
+    const FILTER_PARAMS = ['q', 'duration', 'difficulty', 'ages', 'category', 'sort'];
+    const FILTER_ANIMATION_MS = 250;
+    // Youngest minimum age that still counts as kid-friendly
+    const KIDS_MAX_MIN_AGE = 10;
+
+    // Bucket boundaries in hours: up to 1.5, up to 4, longer
+    const DURATION_BUCKETS = {
+        short: hours => hours <= 1.5,
+        medium: hours => hours > 1.5 && hours <= 4,
+        long: hours => hours > 4
+    };
+
+    const AGE_FILTERS = {
+        all: minAge => !minAge,
+        kids: minAge => minAge <= KIDS_MAX_MIN_AGE
+    };
+
+    const ACTIVITY_SORTS = {
+        'duration-asc': (a, b) => a.durationHours - b.durationHours,
+        'duration-desc': (a, b) => b.durationHours - a.durationHours,
+        'price-asc': (a, b) => a.price - b.price,
+        'price-desc': (a, b) => b.price - a.price
+    };
+
+    /**
+     * Check one activity against the current filters
+     * @param {Object} activity - Catalogue entry
+     * @param {Object<string, string>} filters - Values keyed by FILTER_PARAMS
+     * @returns {boolean}
+     */
+    function matchesFilters(activity, filters) {
+        if (filters.duration && !DURATION_BUCKETS[filters.duration]?.(activity.durationHours)) return false;
+        if (filters.difficulty && activity.difficulty !== filters.difficulty) return false;
+        if (filters.ages && !AGE_FILTERS[filters.ages]?.(activity.minAge)) return false;
+        if (filters.category && activity.category !== filters.category) return false;
+
+        if (filters.q) {
+            const haystack = `${catalogueText(activity, 'title')} ${catalogueText(activity, 'description')}`.toLowerCase();
+            return filters.q.toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+        }
+
+        return true;
+    }
+
+    /**
+     * Show or hide a card, fading it when motion is allowed
+     * @param {HTMLElement} card
+     * @param {boolean} visible
+     * @param {boolean} [animate=true]
+     */
+    function setCardVisible(card, visible, animate = true) {
+        if (visible === !card.hidden && !card.classList.contains('is-hiding')) return;
+
+        clearTimeout(card.filterTimer);
+
+        if (!animate || prefersReducedMotion()) {
+            card.classList.remove('is-hiding');
+            card.hidden = !visible;
+            return;
+        }
+
+        if (visible) {
+            card.classList.remove('is-hiding');
+            card.hidden = false;
+            card.classList.add('is-entering');
+            // Next frame so the transition runs from the entering state
+            requestAnimationFrame(() => requestAnimationFrame(() => card.classList.remove('is-entering')));
+        } else {
+            card.classList.add('is-hiding');
+            card.filterTimer = setTimeout(() => {
+                card.hidden = true;
+                card.classList.remove('is-hiding');
+            }, FILTER_ANIMATION_MS);
+        }
+    }
+
+    /**
+     * Wire the filter bar to the rendered activity cards
+     * @param {HTMLElement} list - Container holding the .activity-detail-card elements
+     * @param {Object[]} activities - Catalogue activities in their default order
+     */
+    function initActivityFilters(list, activities) {
+        const form = document.querySelector('[data-activity-filters]');
+        if (!form) return;
+
+        const count = form.querySelector('[data-filter-count]');
+        const empty = document.querySelector('[data-filter-empty]');
+
+        function readFilters() {
+            const filters = {};
+            FILTER_PARAMS.forEach(name => {
+                filters[name] = (form.elements[name]?.value || '').trim();
+            });
+            return filters;
+        }
+
+        /**
+         * Mirror the filters in the query string so the view can be shared
+         * @param {Object<string, string>} filters
+         */
+        function syncUrl(filters) {
+            const params = new URLSearchParams(window.location.search);
+            FILTER_PARAMS.forEach(name => {
+                if (filters[name]) {
+                    params.set(name, filters[name]);
+                } else {
+                    params.delete(name);
+                }
+            });
+
+            const query = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+
+        /**
+         * Apply the filters and sort to the cards
+         * @param {boolean} [animate=true] - Off for the first pass, so shared links render settled
+         */
+        function update(animate = true) {
+            const filters = readFilters();
+            const sorted = ACTIVITY_SORTS[filters.sort] ? [...activities].sort(ACTIVITY_SORTS[filters.sort]) : activities;
+            let visibleIndex = 0;
+
+            sorted.forEach(activity => {
+                const card = document.getElementById(activity.id);
+                if (!card) return;
+
+                const visible = matchesFilters(activity, filters);
+                list.appendChild(card);
+                setCardVisible(card, visible, animate !== false);
+
+                // Keep the image/text alternation on the cards that remain
+                if (visible) {
+                    card.classList.toggle('is-reversed', visibleIndex % 2 === 0);
+                    visibleIndex++;
+                }
+            });
+
+            count.textContent = t('filters.count', { count: visibleIndex, total: activities.length });
+            if (empty) empty.hidden = visibleIndex > 0;
+            syncUrl(filters);
+        }
+
+        // Restore filters from a shared link
+        const params = new URLSearchParams(window.location.search);
+        FILTER_PARAMS.forEach(name => {
+            const field = form.elements[name];
+            if (field && params.has(name)) field.value = params.get(name);
+        });
+
+        const debouncedUpdate = debounce(update, 200);
+
+        form.addEventListener('submit', event => event.preventDefault());
+        form.addEventListener('change', update);
+        form.elements.q.addEventListener('input', debouncedUpdate);
+        // form.reset() clears the fields after this event, so update on the next tick
+        form.addEventListener('reset', () => setTimeout(update));
+        document.addEventListener('i18n:change', update);
+
+        form.hidden = false;
+        update(false);
+    }
+
+    // ============================================
+    // ACTIVITY DEEP LINKS & DETAIL ROUTE (activities.html)
+    // ============================================
+
+    const ACTIVITY_ROUTE_PREFIX = '#/';
+    const HIGHLIGHT_DURATION = 2500;
+
+    // Set by initActivityRoutes once the cards exist
+    let routedActivities = [];
+
+    /**
+     * Find the activity a hash points at, by id or legacy alias (e.g. #shooting)
+     * @param {string} id - Hash without the leading # or #/
+     * @returns {Object|undefined}
+     */
+    function findRoutedActivity(id) {
+        const wanted = decodeURIComponent(id);
+        return routedActivities.find(activity => activity.id === wanted || (activity.aliases || []).includes(wanted));
+    }
+
+    /**
+     * Scroll to a card and flash a highlight, clearing filters that hide it
+     * @param {HTMLElement} card
+     */
+    function highlightActivityCard(card) {
+        const filters = document.querySelector('[data-activity-filters]');
+        if (card.hidden && filters) filters.reset();
+
+        // Wait a frame so a filter reset has un-hidden the card before measuring
+        requestAnimationFrame(() => {
+            scrollToElement(card);
+            card.classList.add('is-highlighted');
+            setTimeout(() => card.classList.remove('is-highlighted'), HIGHLIGHT_DURATION);
+        });
+    }
+
+    /**
+     * Build the detail view for one activity
+     * @param {Object} activity
+     * @returns {DocumentFragment}
+     */
+    function renderActivityDetail(activity) {
+        const fragment = document.createDocumentFragment();
+
+        const back = document.createElement('a');
+        back.className = 'back-link';
+        back.href = `#${activity.id}`;
+        back.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 12H5M12 19l-7-7 7-7" /></svg>';
+        back.appendChild(createTranslatedSpan('activityDetail.back'));
+
+        const [card] = renderActivityCards([activity]);
+        card.removeAttribute('id');
+        card.classList.remove('is-reversed');
+        card.classList.add('activity-detail-hero');
+
+        // The page's main heading while the detail view is open
+        const cardTitle = card.querySelector('h2');
+        const title = document.createElement('h1');
+        title.dataset.i18n = cardTitle.dataset.i18n;
+        title.textContent = cardTitle.textContent;
+        title.tabIndex = -1;
+        title.dataset.detailTitle = '';
+        cardTitle.replaceWith(title);
+
+        // Re-formatted on language and currency change, so no data-i18n here
+        const price = document.createElement('p');
+        price.className = 'activity-detail-price';
+        setPriceLabel(price, getLowestPrice(activity), 'activityDetail.price');
+        title.after(price);
+        if (activity.groupPrices) price.after(createGroupPriceList(activity));
+
+        card.querySelector('.activity-detail-link')?.remove();
+        const bookLink = card.querySelector('[data-book-activity]');
+        if (bookLink) {
+            bookLink.dataset.i18n = 'activityDetail.book';
+            bookLink.textContent = t('activityDetail.book');
+        }
+
+        fragment.append(back, card);
+
+        if (activity.gallery && activity.gallery.length) {
+            const heading = createTranslatedSpan('activityDetail.gallery');
+            const galleryTitle = document.createElement('h2');
+            galleryTitle.className = 'activity-detail-subtitle';
+            galleryTitle.appendChild(heading);
+
+            const gallery = document.createElement('div');
+            gallery.className = 'activity-detail-gallery';
+            activity.gallery.forEach((photo, index) => {
+                const img = document.createElement('img');
+                img.src = photo.src;
+                img.alt = catalogueText(activity, `gallery.${index}`);
+                img.dataset.i18nAttr = `alt:${catalogueKey(activity, `gallery.${index}`)}`;
+                img.loading = 'lazy';
+                gallery.appendChild(img);
+            });
+
+            fragment.append(galleryTitle, gallery);
+        }
+
+        // The activity's own questions, then the shared ones from data/faq.json
+        const faqItems = [
+            ...(activity.faq || []).map((item, index) => ({
+                id: String(index + 1),
+                question: catalogueKey(activity, `faq.${index}.question`),
+                answer: catalogueKey(activity, `faq.${index}.answer`)
+            })),
+            ...getActivityFaqItems(activity)
+        ];
+
+        if (faqItems.length) {
+            const faqTitle = document.createElement('h2');
+            faqTitle.className = 'activity-detail-subtitle';
+            faqTitle.appendChild(createTranslatedSpan('activityDetail.faq'));
+
+            const faq = createFaqAccordion(faqItems, { idPrefix: `${activity.id}-faq` }).element;
+            faq.classList.add('activity-detail-faq');
+
+            fragment.append(faqTitle, faq);
+        }
+
+        return fragment;
+    }
+
+    /**
+     * Activity open in the detail view, if any
+     * @returns {Object|undefined}
+     */
+    function getRoutedActivity() {
+        const hash = window.location.hash;
+        return hash.startsWith(ACTIVITY_ROUTE_PREFIX) ? findRoutedActivity(hash.substring(ACTIVITY_ROUTE_PREFIX.length)) : undefined;
+    }
+
+    /**
+     * React to the current hash: open a detail route, highlight a card, or neither
+     * @returns {boolean} Whether the hash was an activity link
+     */
+    function handleActivityRoute() {
+        const view = document.querySelector('[data-activity-detail]');
+        const list = document.querySelector('.activities-grid');
+        if (!view || !list) return false;
+
+        const hash = window.location.hash;
+        const activity = getRoutedActivity();
+
+        if (activity) {
+            view.querySelector('.container').replaceChildren(renderActivityDetail(activity));
+            view.hidden = false;
+            list.hidden = true;
+            document.title = `${catalogueText(activity, 'title')} | ${t('page.activities.title')}`;
+
+            window.scrollTo({ top: 0 });
+            view.querySelector('[data-detail-title]').focus({ preventScroll: true });
+            return true;
+        }
+
+        if (!view.hidden) {
+            view.hidden = true;
+            list.hidden = false;
+            document.title = t('page.activities.title');
+        }
+
+        const linked = hash.length > 1 && findRoutedActivity(hash.substring(1));
+        const card = linked && document.getElementById(linked.id);
+        if (card) {
+            highlightActivityCard(card);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Remember the rendered activities and follow hash changes
+     * @param {Object[]} activities
+     */
+    function initActivityRoutes(activities) {
+        routedActivities = activities;
+        window.addEventListener('hashchange', handleActivityRoute);
+
+        // applyTranslations resets <title>, so redo it
+        document.addEventListener('i18n:change', () => {
+            const activity = getRoutedActivity();
+            if (activity) document.title = `${catalogueText(activity, 'title')} | ${t('page.activities.title')}`;
+        });
+    }
+
+    /**
+     * "Book" buttons carrying data-book-activity preselect that activity in the booking wizard
+     */
+    function initBookActivityLinks() {
+        document.addEventListener('click', event => {
+            const link = event.target.closest('[data-book-activity]');
+            if (!link) return;
+
+            track('book_click', { activity: link.dataset.bookActivity });
+            document.dispatchEvent(new CustomEvent('booking:preselect', {
+                detail: { activityIds: [link.dataset.bookActivity] }
+            }));
+
+            const booking = document.getElementById('book');
+            if (booking && !event.defaultPrevented) {
+                event.preventDefault();
+                scrollToElement(booking);
+            }
+        });
+    }
+
+    // ============================================
+    // DAY ITINERARY PLANNER (activities.html)
+    // ============================================
+
+    const ITINERARY_STORAGE_KEY = 'uac-itinerary';
+    const ITINERARY_PARAM = 'plan';
+    // Start times snap to half hours
+    const ITINERARY_STEP_MINUTES = 30;
+
+    // [{id, start: minutes after midnight}], shared with the card renderers
+    let itinerary = [];
+
+    /**
+     * @param {string} time - HH:MM
+     * @returns {number} Minutes after midnight, or NaN
+     */
+    function parseTime(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    }
+
+    /**
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} HH:MM
+     */
+    function formatTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {Object} activity
+     * @returns {boolean}
+     */
+    function isPlanned(activity) {
+        return itinerary.some(entry => entry.id === activity.id);
+    }
+
+    /**
+     * "Add to my day" toggle for an activity card
+     * @param {Object} activity
+     * @returns {HTMLButtonElement}
+     */
+    function createPlanToggle(activity) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary activity-plan-toggle';
+        button.dataset.planToggle = activity.id;
+        updatePlanToggle(button, isPlanned(activity));
+        return button;
+    }
+
+    /**
+     * @param {HTMLButtonElement} button
+     * @param {boolean} planned
+     */
+    function updatePlanToggle(button, planned) {
+        button.setAttribute('aria-pressed', String(planned));
+        button.replaceChildren(createTranslatedSpan(planned ? 'planner.added' : 'planner.add'));
+    }
+
+    /**
+     * Check each planned activity against its time slot and the others
+     * @param {Array<{activity: Object, start: number, end: number}>} items - Sorted by start
+     * @param {Object<string, {start: number, end: number}>} slots
+     * @returns {Map<Object, {key: string, params: Object}>} Conflict message per item
+     */
+    function findItineraryConflicts(items, slots) {
+        const conflicts = new Map();
+
+        items.forEach(item => {
+            const slot = slots[item.activity.slot];
+            if (slot && (item.start < slot.start || item.end > slot.end)) {
+                conflicts.set(item, {
+                    key: `planner.conflict.${item.activity.slot}`,
+                    params: { start: formatTime(slot.start), end: formatTime(slot.end) }
+                });
+                return;
+            }
+
+            const clash = items.find(other => other !== item && other.start < item.end && item.start < other.end);
+            if (clash) {
+                conflicts.set(item, { key: 'planner.conflict.overlap', params: { activity: catalogueText(clash.activity, 'title') } });
+            }
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Earliest free half hour inside the activity's slot, or the slot's start if the day is full
+     * @param {Object} activity
+     * @param {Array<{activity: Object, start: number, end: number}>} items
+     * @param {Object} slots
+     * @returns {number}
+     */
+    function findFreeStart(activity, items, slots) {
+        const slot = slots[activity.slot] || slots.daylight;
+        const length = activity.durationHours * 60;
+
+        for (let start = slot.start; start + length <= slot.end; start += ITINERARY_STEP_MINUTES) {
+            if (!items.some(item => item.start < start + length && start < item.end)) return start;
+        }
+        return slot.start;
+    }
+
+    /**
+     * Plan parsed from "?plan=kayaking@08:00,archery@13:30"
+     * @param {string} value
+     * @returns {Array<{id: string, start: number}>}
+     */
+    function parseItineraryParam(value) {
+        return value.split(',').map(part => {
+            const [id, time] = part.split('@');
+            return { id, start: parseTime(time) };
+        }).filter(entry => entry.id && Number.isFinite(entry.start));
+    }
+
+    /**
+     * Wire the day planner: card toggles, the timeline, local saving,
+     * share links, printing and the hand-off to the booking form
+     * @param {Object[]} activities
+     * @returns {Promise<void>}
+     */
+    function initItineraryPlanner(activities) {
+        const planner = document.querySelector('[data-itinerary]');
+        if (!planner) return Promise.resolve();
+
+        const timeline = planner.querySelector('[data-itinerary-track]');
+        const list = planner.querySelector('[data-itinerary-list]');
+        const empty = planner.querySelector('[data-itinerary-empty]');
+        const summary = planner.querySelector('[data-itinerary-summary]');
+        const status = planner.querySelector('[data-itinerary-status]');
+        const byId = Object.fromEntries(activities.map(activity => [activity.id, activity]));
+
+        let slots = null;
+        // The plan text last written into the booking message, so it can be replaced
+        let bookedText = '';
+
+        const getItems = () => itinerary
+            .filter(entry => byId[entry.id])
+            .map(entry => ({ activity: byId[entry.id], start: entry.start, end: entry.start + byId[entry.id].durationHours * 60 }))
+            .sort((a, b) => a.start - b.start);
+
+        const setStatus = (key, params) => {
+            status.textContent = key ? t(key, params) : '';
+        };
+
+        function save() {
+            writeStorage(ITINERARY_STORAGE_KEY, itinerary.map(entry => ({ id: entry.id, start: formatTime(entry.start) })));
+        }
+
+        function renderTrack(items, conflicts) {
+            const dayStart = Math.min(...Object.values(slots).map(slot => slot.start));
+            const dayEnd = Math.max(...Object.values(slots).map(slot => slot.end));
+            const percent = minutes => `${((minutes - dayStart) / (dayEnd - dayStart)) * 100}%`;
+
+            const evening = document.createElement('div');
+            evening.className = 'itinerary-evening';
+            if (slots.evening) {
+                evening.style.left = percent(slots.evening.start);
+                evening.style.right = `calc(100% - ${percent(slots.evening.end)})`;
+            }
+
+            const blocks = items.map(item => {
+                const block = document.createElement('div');
+                block.className = 'itinerary-block';
+                block.classList.toggle('has-conflict', conflicts.has(item));
+                block.style.left = percent(Math.max(item.start, dayStart));
+                block.style.width = `calc(${percent(Math.min(item.end, dayEnd))} - ${percent(Math.max(item.start, dayStart))})`;
+                block.textContent = catalogueText(item.activity, 'title');
+                return block;
+            });
+
+            const labels = [dayStart, ...Object.values(slots).map(slot => slot.end)].map(minutes => {
+                const label = document.createElement('span');
+                label.className = 'itinerary-tick';
+                label.style.left = percent(minutes);
+                label.textContent = formatTime(minutes);
+                return label;
+            });
+
+            timeline.replaceChildren(evening, ...blocks, ...labels);
+        }
+
+        function renderItem(item, conflict) {
+            const li = document.createElement('li');
+            li.className = 'itinerary-item';
+            li.dataset.activity = item.activity.id;
+            li.classList.toggle('has-conflict', Boolean(conflict));
+
+            const time = document.createElement('span');
+            time.className = 'itinerary-time';
+            time.textContent = `${formatTime(item.start)}–${formatTime(item.end)}`;
+
+            const info = document.createElement('div');
+            info.className = 'itinerary-info';
+            const title = document.createElement('strong');
+            title.textContent = catalogueText(item.activity, 'title');
+            const duration = createTranslatedSpan(catalogueKey(item.activity, 'duration'));
+            info.append(title, duration);
+            if (conflict) {
+                const warning = document.createElement('p');
+                warning.className = 'itinerary-conflict';
+                warning.textContent = t(conflict.key, conflict.params);
+                info.appendChild(warning);
+            }
+
+            const start = document.createElement('input');
+            start.type = 'time';
+            start.step = ITINERARY_STEP_MINUTES * 60;
+            start.className = 'form-input itinerary-start';
+            start.value = formatTime(item.start);
+            start.setAttribute('aria-label', t('planner.startLabel', { activity: title.textContent }));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'itinerary-remove';
+            remove.dataset.itineraryRemove = '';
+            remove.setAttribute('aria-label', t('planner.remove', { activity: title.textContent }));
+            remove.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12" /></svg>';
+
+            li.append(time, info, start, remove);
+            return li;
+        }
+
+        function render() {
+            const items = getItems();
+            const conflicts = findItineraryConflicts(items, slots);
+
+            // Keep focus on the same control when the list is rebuilt
+            const focused = list.contains(document.activeElement) ? document.activeElement : null;
+            const focusedId = focused?.closest('[data-activity]')?.dataset.activity;
+            const focusedRemove = focused?.hasAttribute('data-itinerary-remove');
+
+            renderTrack(items, conflicts);
+            list.replaceChildren(...items.map(item => renderItem(item, conflicts.get(item))));
+            empty.hidden = items.length > 0;
+            planner.querySelectorAll('[data-itinerary-action]').forEach(button => {
+                button.disabled = !items.length;
+            });
+
+            if (items.length) {
+                const hours = items.reduce((sum, item) => sum + item.activity.durationHours, 0);
+                const price = items.reduce((sum, item) => sum + getLowestPrice(item.activity), 0);
+                const text = [t(items.length === 1 ? 'planner.summaryOne' : 'planner.summary', {
+                    count: items.length,
+                    hours: new Intl.NumberFormat(getLocale(), { maximumFractionDigits: 1 }).format(hours),
+                    price: formatPrice(price)
+                })];
+                if (conflicts.size) text.push(t(conflicts.size === 1 ? 'planner.conflictsOne' : 'planner.conflicts', { count: conflicts.size }));
+                summary.textContent = text.join(' ');
+            } else {
+                summary.textContent = '';
+            }
+
+            document.querySelectorAll('[data-plan-toggle]').forEach(button => {
+                updatePlanToggle(button, itinerary.some(entry => entry.id === button.dataset.planToggle));
+            });
+
+            if (focusedId) {
+                const item = list.querySelector(`[data-activity="${focusedId}"]`);
+                (focusedRemove ? item?.querySelector('[data-itinerary-remove]') : item?.querySelector('.itinerary-start'))?.focus();
+            }
+        }
+
+        function update() {
+            save();
+            setStatus('');
+            render();
+        }
+
+        function toggleActivity(id) {
+            const activity = byId[id];
+            if (!activity) return;
+
+            if (isPlanned(activity)) {
+                itinerary = itinerary.filter(entry => entry.id !== id);
+                setStatus('planner.status.removed', { activity: catalogueText(activity, 'title') });
+            } else {
+                itinerary.push({ id, start: findFreeStart(activity, getItems(), slots) });
+                track('plan_add', { activity: id });
+            }
+            save();
+            render();
+        }
+
+        /**
+         * Plan as text for the booking message and share sheets
+         * @returns {string}
+         */
+        function describePlan() {
+            const lines = getItems().map(item => `${formatTime(item.start)}–${formatTime(item.end)} ${catalogueText(item.activity, 'title')}`);
+            return `${t('planner.messageHeading')}\n${lines.join('\n')}`;
+        }
+
+        function shareUrl() {
+            const url = new URL(window.location.href);
+            // Keep the filter params so the link restores the same view
+            const params = new URLSearchParams(url.search);
+            params.delete(ITINERARY_PARAM);
+            // Appended directly so "@", ":" and "," stay readable in the link
+            const plan = `${ITINERARY_PARAM}=${getItems().map(item => `${item.activity.id}@${formatTime(item.start)}`).join(',')}`;
+            url.search = params.toString() ? `${params}&${plan}` : plan;
+            url.hash = 'planner';
+            return url.href;
+        }
+
+        async function share() {
+            const url = shareUrl();
+            track('plan_share');
+
+            try {
+                if (navigator.share) {
+                    await navigator.share({ title: t('planner.title'), text: describePlan(), url });
+                    return;
+                }
+                await navigator.clipboard.writeText(url);
+                setStatus('planner.status.copied');
+            } catch (error) {
+                // Share sheet dismissed, or no clipboard access: show the link instead
+                if (error.name !== 'AbortError') setStatus('planner.status.link', { url });
+            }
+        }
+
+        function print() {
+            track('plan_print');
+            document.body.classList.add('is-printing-itinerary');
+            window.addEventListener('afterprint', () => document.body.classList.remove('is-printing-itinerary'), { once: true });
+            window.print();
+        }
+
+        function book() {
+            const items = getItems();
+            track('plan_book', { activities: items.length });
+
+            document.dispatchEvent(new CustomEvent('booking:preselect', {
+                detail: { activityIds: items.map(item => item.activity.id) }
+            }));
+
+            const message = document.querySelector('#booking-form [name="message"]');
+            if (message) {
+                const text = describePlan();
+                const current = message.value.trim();
+                message.value = bookedText && current.includes(bookedText)
+                    ? current.replace(bookedText, text)
+                    : [current, text].filter(Boolean).join('\n\n');
+                bookedText = text;
+                // Lets the draft and validation see the change
+                message.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+
+            const booking = document.getElementById('book');
+            if (booking) scrollToElement(booking);
+        }
+
+        document.addEventListener('click', event => {
+            const toggle = event.target.closest('[data-plan-toggle]');
+            if (toggle && slots) toggleActivity(toggle.dataset.planToggle);
+        });
+
+        list.addEventListener('change', event => {
+            if (!event.target.classList.contains('itinerary-start')) return;
+
+            const minutes = parseTime(event.target.value);
+            const entry = itinerary.find(candidate => candidate.id === event.target.closest('[data-activity]').dataset.activity);
+            if (!entry || !Number.isFinite(minutes)) return;
+
+            entry.start = minutes;
+            update();
+        });
+
+        list.addEventListener('click', event => {
+            const remove = event.target.closest('[data-itinerary-remove]');
+            if (remove) toggleActivity(remove.closest('[data-activity]').dataset.activity);
+        });
+
+        planner.querySelector('[data-itinerary-share]').addEventListener('click', share);
+        planner.querySelector('[data-itinerary-print]').addEventListener('click', print);
+        planner.querySelector('[data-itinerary-book]').addEventListener('click', book);
+        planner.querySelector('[data-itinerary-clear]').addEventListener('click', () => {
+            itinerary = [];
+            update();
+        });
+
+        ['i18n:change', 'currency:change'].forEach(name => {
+            document.addEventListener(name, () => {
+                if (slots) render();
+            });
+        });
+
+        return fetchJSON(BOOKING_SCHEDULE_URL)
+            .then(schedule => {
+                if (!schedule.slots) throw new Error('data/schedule.json has no "slots"');
+
+                slots = Object.fromEntries(Object.entries(schedule.slots).map(([name, slot]) => (
+                    [name, { start: parseTime(slot.start), end: parseTime(slot.end) }]
+                )));
+
+                // A shared link replaces the saved plan, then leaves the URL
+                const params = new URLSearchParams(window.location.search);
+                const shared = params.has(ITINERARY_PARAM);
+                const entries = shared
+                    ? parseItineraryParam(params.get(ITINERARY_PARAM))
+                    : readStorage(ITINERARY_STORAGE_KEY, []).map(entry => ({ id: entry.id, start: parseTime(entry.start) }));
+                itinerary = entries.filter(entry => byId[entry.id] && Number.isFinite(entry.start));
+
+                if (shared) {
+                    params.delete(ITINERARY_PARAM);
+                    const query = params.toString();
+                    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+                    save();
+                }
+
+                planner.hidden = false;
+                render();
+            })
+            .catch(error => {
+                console.warn('Day planner unavailable:', error);
+            });
+    }
+
+    // ============================================
+    // PHOTO LIGHTBOX
+    // ============================================
+
+    // Galleries that open the shared lightbox from partials/lightbox.html
+    const LIGHTBOX_GALLERIES = [
+        { grid: '.masonry-grid', item: '.masonry-item' },
+        { grid: '.gallery-grid', item: '.gallery-item' }
+    ];
+    const PHOTO_HASH_PATTERN = /^#photo-(\d+)$/;
+    const SWIPE_THRESHOLD = 50;
+    const MAX_ZOOM = 4;
+    const DOUBLE_CLICK_ZOOM = 2;
+
+    // Created on first use, shared by every gallery on the page
+    let lightbox = null;
+    // Photo lists for grids that render only part of their photos (see PHOTO GALLERY)
+    const lightboxSources = new WeakMap();
+
+    /**
+     * Image, alt text and caption shown for a gallery item
+     * @param {HTMLElement} item
+     * @returns {{id: string, src: string, alt: string, caption: string}}
+     */
+    function describeGalleryItem(item) {
+        const img = item.querySelector('img');
+        const caption = item.querySelector('.masonry-caption, .gallery-caption');
+
+        return {
+            id: item.id,
+            // The original file, not the srcset candidate picked for the thumbnail
+            src: item.dataset.full || img.src,
+            alt: img.alt,
+            caption: caption ? caption.textContent.trim() : img.alt
+        };
+    }
+
+    /**
+     * Wire the lightbox dialog: navigation, keyboard, swipe and pinch/double-click zoom
+     * @param {HTMLElement} root - The #lightbox element
+     * @returns {{open: Function, close: Function, isOpen: function(): boolean}}
+     */
+    function createLightbox(root) {
+        const stage = root.querySelector('[data-lightbox-stage]');
+        const image = root.querySelector('[data-lightbox-image]');
+        const caption = root.querySelector('[data-lightbox-caption]');
+        const counter = root.querySelector('[data-lightbox-counter]');
+        const closeButton = root.querySelector('[data-lightbox-close]');
+        const prevButton = root.querySelector('[data-lightbox-prev]');
+        const nextButton = root.querySelector('[data-lightbox-next]');
+        const focusTrap = createFocusTrap(root);
+
+        let items = [];
+        let index = 0;
+        let callbacks = {};
+        let describe = describeGalleryItem;
+        const zoom = { scale: 1, x: 0, y: 0 };
+        // Pointers currently down on the stage, for swipe, pan and pinch
+        const pointers = new Map();
+        let gesture = null;
+
+        function isOpen() {
+            return root.classList.contains('active');
+        }
+
+        function applyZoom() {
+            image.style.transform = zoom.scale > 1 ? `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})` : '';
+            root.classList.toggle('is-zoomed', zoom.scale > 1);
+        }
+
+        function setZoom(scale) {
+            zoom.scale = Math.min(MAX_ZOOM, Math.max(1, scale));
+            if (zoom.scale === 1) {
+                zoom.x = 0;
+                zoom.y = 0;
+            }
+            applyZoom();
+        }
+
+        function renderText() {
+            caption.textContent = describe(items[index]).caption;
+            counter.textContent = t('lightbox.counter', { current: index + 1, total: items.length });
+        }
+
+        function preloadNeighbours() {
+            if (items.length < 2) return;
+
+            [index - 1, index + 1].forEach(i => {
+                const neighbour = items[(i + items.length) % items.length];
+                new Image().src = describe(neighbour).src;
+            });
+        }
+
+        function render() {
+            const photo = describe(items[index]);
+            image.src = photo.src;
+            image.alt = photo.alt;
+            renderText();
+            setZoom(1);
+            preloadNeighbours();
+            if (callbacks.onChange) callbacks.onChange(photo);
+        }
+
+        function show(step) {
+            if (items.length < 2) return;
+            index = (index + step + items.length) % items.length;
+            render();
+        }
+
+        /**
+         * @param {Array} galleryItems - Items to page through
+         * @param {number} startIndex
+         * @param {Object} [options]
+         * @param {function(*): Object} [options.describe] - Item → {id, src, alt, caption}, defaults to describeGalleryItem
+         * @param {function(Object): void} [options.onChange] - Called with the photo now shown
+         * @param {function(): void} [options.onClose]
+         */
+        function open(galleryItems, startIndex, options = {}) {
+            items = galleryItems;
+            index = startIndex;
+            callbacks = options;
+            describe = options.describe || describeGalleryItem;
+
+            prevButton.hidden = items.length < 2;
+            nextButton.hidden = items.length < 2;
+            render();
+
+            root.classList.add('active');
+            root.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+            focusTrap.activate(closeButton);
+        }
+
+        function close() {
+            if (!isOpen()) return;
+
+            root.classList.remove('active');
+            root.setAttribute('aria-hidden', 'true');
+            document.body.style.overflow = '';
+            pointers.clear();
+            gesture = null;
+            focusTrap.deactivate();
+            if (callbacks.onClose) callbacks.onClose();
+        }
+
+        function pointerDistance() {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+
+        function handlePointerDown(e) {
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pointers.size === 2) {
+                gesture = { type: 'pinch', distance: pointerDistance(), scale: zoom.scale };
+            } else if (pointers.size === 1) {
+                gesture = {
+                    type: zoom.scale > 1 ? 'pan' : 'swipe',
+                    startX: e.clientX,
+                    startY: e.clientY,
+                    x: zoom.x,
+                    y: zoom.y
+                };
+            }
+        }
+
+        function handlePointerMove(e) {
+            if (!gesture || !pointers.has(e.pointerId)) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (gesture.type === 'pinch' && pointers.size === 2) {
+                setZoom(gesture.scale * pointerDistance() / gesture.distance);
+            } else if (gesture.type === 'pan') {
+                zoom.x = gesture.x + e.clientX - gesture.startX;
+                zoom.y = gesture.y + e.clientY - gesture.startY;
+                applyZoom();
+            }
+        }
+
+        function handlePointerEnd(e) {
+            if (!pointers.delete(e.pointerId)) return;
+
+            if (gesture && gesture.type === 'swipe' && e.type === 'pointerup') {
+                const dx = e.clientX - gesture.startX;
+                const dy = e.clientY - gesture.startY;
+                if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) show(dx < 0 ? 1 : -1);
+            }
+
+            // Lifting one finger of a pinch leaves nothing to follow until the next touch
+            gesture = null;
+        }
+
+        closeButton.addEventListener('click', close);
+        prevButton.addEventListener('click', () => show(-1));
+        nextButton.addEventListener('click', () => show(1));
+
+        root.addEventListener('click', e => {
+            if (e.target === root) close();
+        });
+
+        root.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close();
+            if (e.key === 'ArrowLeft') show(-1);
+            if (e.key === 'ArrowRight') show(1);
+        });
+
+        stage.addEventListener('pointerdown', handlePointerDown);
+        stage.addEventListener('pointermove', handlePointerMove);
+        stage.addEventListener('pointerup', handlePointerEnd);
+        stage.addEventListener('pointercancel', handlePointerEnd);
+        image.addEventListener('dblclick', () => setZoom(zoom.scale > 1 ? 1 : DOUBLE_CLICK_ZOOM));
+
+        // Trackpad pinches arrive as ctrl + wheel
+        stage.addEventListener('wheel', e => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            setZoom(zoom.scale * (e.deltaY < 0 ? 1.1 : 0.9));
+        }, { passive: false });
+
+        document.addEventListener('i18n:change', () => {
+            if (isOpen()) renderText();
+        });
+
+        return { open, close, isOpen };
+    }
+
+    /**
+     * Make a gallery item keyboard operable and give it its photo-N id
+     * @param {HTMLElement} item
+     * @param {number} [number] - Position in the gallery, 1-based
+     */
+    function prepareLightboxItem(item, number) {
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+        if (number && !item.id) item.id = `photo-${number}`;
+    }
+
+    /**
+     * Let a gallery grid open the shared lightbox. Items become keyboard operable and,
+     * with linkHash, get photo-N ids mirrored in the URL so a photo can be linked directly.
+     * A grid registered in lightboxSources pages through its full photo list instead of
+     * the items currently rendered.
+     * @param {HTMLElement} container - Gallery grid
+     * @param {string} itemSelector - Selector for the photo items inside it
+     * @param {{linkHash?: boolean}} [options]
+     * @returns {{refresh: function(): void}|null} refresh() prepares items added later
+     */
+    function attachLightbox(container, itemSelector, options = {}) {
+        if (!lightbox) {
+            const root = document.getElementById('lightbox');
+            if (!root) return null;
+            lightbox = createLightbox(root);
+        }
+
+        function getItems() {
+            return Array.from(container.querySelectorAll(itemSelector));
+        }
+
+        function refresh() {
+            getItems().forEach((item, i) => prepareLightboxItem(item, options.linkHash && i + 1));
+        }
+
+        function openItem(item) {
+            const source = lightboxSources.get(container);
+            // Page through the photos currently shown, e.g. after a filter
+            let items = source ? source.getItems() : getItems().filter(el => !el.hidden);
+            let describe = source ? source.describe : describeGalleryItem;
+            let index = items.findIndex(entry => entry === item || (item.id && describe(entry).id === item.id));
+
+            if (index === -1) {
+                items = [item];
+                describe = describeGalleryItem;
+                index = 0;
+            }
+
+            lightbox.open(items, index, {
+                describe,
+                onChange(photo) {
+                    if (options.linkHash && photo.id) history.replaceState(history.state, '', `#${photo.id}`);
+                    track('photo_view', { photo: photo.id || photo.src });
+                },
+                onClose() {
+                    if (options.linkHash && PHOTO_HASH_PATTERN.test(window.location.hash)) {
+                        history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+                    }
+                }
+            });
+        }
+
+        function openFromHash() {
+            const match = PHOTO_HASH_PATTERN.exec(window.location.hash);
+            const item = match && document.getElementById(`photo-${match[1]}`);
+            if (!item || !container.contains(item) || lightbox.isOpen()) return;
+
+            // Focus the item first so closing the lightbox returns there
+            item.focus();
+            openItem(item);
+        }
+
+        container.addEventListener('click', e => {
+            const item = e.target.closest(itemSelector);
+            if (item) openItem(item);
+        });
+
+        container.addEventListener('keydown', e => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            if (!e.target.matches(itemSelector)) return;
+            e.preventDefault();
+            openItem(e.target);
+        });
+
+        refresh();
+
+        if (options.linkHash) {
+            window.addEventListener('hashchange', openFromHash);
+            openFromHash();
+        }
+
+        return { refresh };
+    }
+
+    /**
+     * Attach the lightbox to each gallery grid on the page
+     */
+    function initLightboxes() {
+        LIGHTBOX_GALLERIES.forEach(({ grid, item }) => {
+            document.querySelectorAll(grid).forEach(container => {
+                attachLightbox(container, item, { linkHash: true });
+            });
+        });
+    }
+
+    // ============================================
+    // PHOTO GALLERY
+    // ============================================
+
+    const GALLERY_MANIFEST_URL = 'data/gallery.json';
+    const GALLERY_PAGE_SIZE = 9;
+    const GALLERY_PREVIEW_SIZE = 6;
+
+    let galleryPromise = null;
+
+    /**
+     * Fetch (once) data/gallery.json and number each photo for its #photo-N link
+     * @returns {Promise<{categories: string[], photos: Object[]}>}
+     */
+    function loadGalleryManifest() {
+        if (galleryPromise) return galleryPromise;
+
+        galleryPromise = fetchJSON(GALLERY_MANIFEST_URL).then(data => ({
+            categories: data.categories || [],
+            photos: (data.photos || []).map((photo, index) => ({ ...photo, number: index + 1 }))
+        }));
+
+        return galleryPromise;
+    }
+
+    /**
+     * Lightbox view of a manifest photo, for photos not rendered yet
+     * @param {Object} photo
+     * @returns {{id: string, src: string, alt: string, caption: string}}
+     */
+    function describeManifestPhoto(photo) {
+        return {
+            id: `photo-${photo.number}`,
+            src: photo.full || photo.src,
+            alt: photo.alt,
+            caption: t(photo.caption)
+        };
+    }
+
+    /**
+     * Build a gallery tile in either grid's markup
+     * @param {Object} photo - Manifest entry
+     * @param {string} variant - masonry (gallery.html) | gallery (home preview)
+     * @returns {HTMLElement}
+     */
+    function renderGalleryItem(photo, variant) {
+        const item = document.createElement('div');
+        item.className = `${variant}-item`;
+        item.dataset.category = photo.category;
+        if (photo.full) item.dataset.full = photo.full;
+        prepareLightboxItem(item, photo.number);
+
+        const img = document.createElement('img');
+        img.src = photo.src;
+        img.alt = photo.alt;
+        img.loading = 'lazy';
+
+        const overlay = document.createElement('div');
+        overlay.className = `${variant}-overlay`;
+        const caption = createTranslatedSpan(photo.caption);
+        caption.className = `${variant}-caption`;
+        overlay.appendChild(caption);
+
+        item.append(img, overlay);
+        return item;
+    }
+
+    /**
+     * Category chips, paged loading and #photo-N links for the full gallery
+     * @param {HTMLElement} grid
+     * @param {{categories: string[], photos: Object[]}} manifest
+     */
+    function initFullGallery(grid, manifest) {
+        const chips = document.querySelector('[data-gallery-filters]');
+        const count = document.querySelector('[data-gallery-count]');
+        const more = document.querySelector('[data-gallery-more]');
+
+        const params = new URLSearchParams(window.location.search);
+        let category = manifest.categories.includes(params.get('category')) ? params.get('category') : '';
+        let shown = 0;
+
+        function getPhotos() {
+            return manifest.photos.filter(photo => !category || photo.category === category);
+        }
+
+        function updateStatus() {
+            const total = getPhotos().length;
+            if (count) count.textContent = t('galleryPage.count', { count: Math.min(shown, total), total });
+            if (more) more.hidden = shown >= total;
+        }
+
+        /**
+         * Append photos until at least `target` are on the page
+         * @param {number} target
+         */
+        function showUpTo(target) {
+            const photos = getPhotos();
+            const next = photos.slice(shown, Math.min(target, photos.length));
+            grid.append(...next.map(photo => renderGalleryItem(photo, 'masonry')));
+            shown += next.length;
+            updateStatus();
+        }
+
+        /**
+         * Mirror the category in the query string so a filtered gallery can be shared
+         */
+        function syncUrl() {
+            const query = new URLSearchParams(window.location.search);
+            if (category) {
+                query.set('category', category);
+            } else {
+                query.delete('category');
+            }
+
+            const search = query.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+        }
+
+        function setCategory(value) {
+            category = value;
+            if (chips) {
+                chips.querySelectorAll('[data-category]').forEach(chip => {
+                    chip.setAttribute('aria-pressed', String(chip.dataset.category === category));
+                });
+            }
+
+            grid.replaceChildren();
+            shown = 0;
+            showUpTo(GALLERY_PAGE_SIZE);
+            syncUrl();
+        }
+
+        /**
+         * Make sure a linked photo is rendered before the lightbox looks for it
+         */
+        function revealLinkedPhoto() {
+            const match = PHOTO_HASH_PATTERN.exec(window.location.hash);
+            const photo = match && manifest.photos[Number(match[1]) - 1];
+            if (!photo) return;
+
+            if (category && photo.category !== category) setCategory('');
+            const position = getPhotos().indexOf(photo) + 1;
+            if (position > shown) showUpTo(Math.ceil(position / GALLERY_PAGE_SIZE) * GALLERY_PAGE_SIZE);
+        }
+
+        if (chips) {
+            const chipFor = (value, key) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'gallery-chip';
+                chip.dataset.category = value;
+                chip.setAttribute('aria-pressed', String(value === category));
+                chip.appendChild(createTranslatedSpan(key));
+                return chip;
+            };
+
+            chips.replaceChildren(
+                chipFor('', 'galleryPage.filter.all'),
+                ...manifest.categories.map(id => chipFor(id, `gallery.category.${id}`))
+            );
+            chips.addEventListener('click', e => {
+                const chip = e.target.closest('[data-category]');
+                if (chip && chip.dataset.category !== category) setCategory(chip.dataset.category);
+            });
+            chips.hidden = false;
+        }
+
+        if (more) {
+            more.addEventListener('click', () => showUpTo(shown + GALLERY_PAGE_SIZE));
+
+            // Load the next page as the button nears the viewport; re-observing after each
+            // page re-checks in case the new photos did not push it out of view
+            if ('IntersectionObserver' in window) {
+                const observer = new IntersectionObserver(entries => {
+                    if (!entries.some(entry => entry.isIntersecting) || more.hidden) return;
+                    showUpTo(shown + GALLERY_PAGE_SIZE);
+                    observer.unobserve(more);
+                    observer.observe(more);
+                }, { rootMargin: '300px 0px' });
+                observer.observe(more);
+            }
+        }
+
+        lightboxSources.set(grid, { getItems: getPhotos, describe: describeManifestPhoto });
+
+        grid.replaceChildren();
+        showUpTo(GALLERY_PAGE_SIZE);
+        revealLinkedPhoto();
+
+        // Registered before the lightbox's own listener, so the photo exists when it runs
+        window.addEventListener('hashchange', revealLinkedPhoto);
+        document.addEventListener('i18n:change', updateStatus);
+    }
+
+    /**
+     * Fill [data-gallery] grids from the photo manifest: the full gallery on gallery.html
+     * and the home page preview. Grids keep their static fallback if it cannot be loaded.
+     * @returns {Promise<void>}
+     */
+    function initGallery() {
+        const grids = document.querySelectorAll('[data-gallery]');
+        if (!grids.length) return Promise.resolve();
+
+        return loadGalleryManifest()
+            .then(manifest => {
+                grids.forEach(grid => {
+                    if (grid.dataset.gallery === 'full') {
+                        initFullGallery(grid, manifest);
+                    } else if (grid.dataset.gallery === 'preview') {
+                        const photos = manifest.photos.filter(photo => photo.preview).slice(0, GALLERY_PREVIEW_SIZE);
+                        grid.replaceChildren(...photos.map(photo => renderGalleryItem(photo, 'gallery')));
+                    }
+                });
+            })
+            .catch(error => {
+                console.warn('Could not load the photo gallery:', error);
+            });
+    }
+
+    // ============================================
+    // VIDEO MODAL
+    // ============================================
+
+    const VIDEO_HASH = '#video';
+
+    /**
+     * Build the player with its sources and caption tracks
+     * @param {Object} config - "video" block of data/site.json
+     * @param {Function} onFail - Called when no source can be played
+     * @returns {HTMLVideoElement}
+     */
+    function createVideoPlayer(config, onFail) {
+        const video = document.createElement('video');
+        video.className = 'video-modal-player';
+        video.controls = true;
+        video.playsInline = true;
+        video.preload = 'metadata';
+        if (config.poster) video.poster = config.poster;
+
+        (config.sources || []).forEach(({ src, type }) => {
+            const source = document.createElement('source');
+            source.src = src;
+            source.type = type;
+            video.appendChild(source);
+        });
+
+        (config.captions || []).forEach(({ src, srclang, label }) => {
+            const track = document.createElement('track');
+            track.kind = 'captions';
+            track.src = src;
+            track.srclang = srclang;
+            track.label = label;
+            track.default = srclang === currentLang;
+            video.appendChild(track);
+        });
+
+        // Each <source> reports its own error, so the last one failing means nothing could play
+        const sources = video.querySelectorAll('source');
+        if (sources.length) sources[sources.length - 1].addEventListener('error', onFail);
+
+        return video;
+    }
+
+    /**
+     * Poster with a message, and optionally a link to the video file
+     * @param {Object} config - "video" block of data/site.json
+     * @param {string} messageKey - Dictionary key for the message
+     * @param {boolean} withLink - Offer the MP4 (or first source) to open on demand
+     * @returns {HTMLElement}
+     */
+    function createVideoFallback(config, messageKey, withLink) {
+        const fallback = document.createElement('div');
+        fallback.className = 'video-modal-fallback';
+
+        if (config.poster) {
+            const poster = document.createElement('img');
+            poster.src = config.poster;
+            poster.alt = '';
+            fallback.appendChild(poster);
+        }
+
+        const message = document.createElement('p');
+        message.appendChild(createTranslatedSpan(messageKey));
+        fallback.appendChild(message);
+
+        const sources = config.sources || [];
+        const file = sources.find(source => source.type === 'video/mp4') || sources[0];
+        if (withLink && file) {
+            const link = document.createElement('a');
+            link.className = 'btn btn-primary';
+            link.href = file.src;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.dataset.i18n = 'video.openFile';
+            link.textContent = t('video.openFile');
+            fallback.appendChild(link);
+        }
+
+        return fallback;
+    }
+
+    /**
+     * Open the video dialog from any link to #video (including index.html#video in the footer)
+     */
+    function initVideoModal() {
+        const modal = document.getElementById('videoModal');
+        if (!modal) return;
+
+        const frame = modal.querySelector('[data-video-frame]');
+        const closeButton = modal.querySelector('[data-video-close]');
+        const focusTrap = createFocusTrap(modal);
+        let video = null;
+
+        function isOpen() {
+            return modal.classList.contains('active');
+        }
+
+        function showFallback(config, messageKey, withLink) {
+            video = null;
+            frame.replaceChildren(createVideoFallback(config, messageKey, withLink));
+        }
+
+        /**
+         * Build the player once, on first open, so nothing downloads until it is wanted
+         * @param {Object} config
+         */
+        function render(config) {
+            if (frame.childElementCount) return;
+
+            if (prefersReducedData()) {
+                showFallback(config, 'video.reducedData', true);
+                return;
+            }
+
+            video = createVideoPlayer(config, () => showFallback(config, 'video.unavailable', false));
+            frame.appendChild(video);
+        }
+
+        function open() {
+            modal.classList.add('active');
+            modal.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+            focusTrap.activate(closeButton);
+
+            loadSiteConfig()
+                .then(config => {
+                    if (!config.video) throw new Error('No "video" block in the site config');
+                    render(config.video);
+                    if (video && isOpen() && !prefersReducedMotion()) video.play().catch(() => {});
+                })
+                .catch(error => {
+                    console.warn('Video not available:', error);
+                    showFallback({}, 'video.unavailable', false);
+                });
+        }
+
+        function close() {
+            if (!isOpen()) return;
+
+            modal.classList.remove('active');
+            modal.setAttribute('aria-hidden', 'true');
+            document.body.style.overflow = '';
+            if (video) video.pause();
+            focusTrap.deactivate();
+
+            if (window.location.hash === VIDEO_HASH) {
+                history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+            }
+        }
+
+        document.addEventListener('click', e => {
+            const link = e.target.closest(`a[href$="${VIDEO_HASH}"]`);
+            if (!link) return;
+
+            e.preventDefault();
+            open();
+        });
+
+        closeButton.addEventListener('click', close);
+
+        modal.addEventListener('click', e => {
+            if (e.target === modal) close();
+        });
+
+        modal.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close();
+        });
+
+        // Footer links on other pages arrive as index.html#video
+        if (window.location.hash === VIDEO_HASH) open();
+    }
+
+    // ============================================
+    // OFFLINE SUPPORT (SERVICE WORKER)
+    // ============================================
+
+    const SERVICE_WORKER_URL = 'sw.js';
+
+    /**
+     * Offer to switch to a newly installed version of the site
+     * @param {ServiceWorker} worker - Installed worker waiting to take over
+     */
+    function showUpdateToast(worker) {
+        if (document.querySelector('[data-update-toast]')) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'update-toast';
+        toast.dataset.updateToast = '';
+        toast.setAttribute('role', 'status');
+
+        const message = createTranslatedSpan('pwa.updateAvailable');
+        message.className = 'update-toast-message';
+
+        const reload = document.createElement('button');
+        reload.type = 'button';
+        reload.className = 'btn btn-primary update-toast-reload';
+        reload.appendChild(createTranslatedSpan('pwa.reload'));
+        reload.addEventListener('click', () => {
+            reload.disabled = true;
+            // The page reloads on controllerchange once the worker has taken over
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'update-toast-dismiss';
+        dismiss.dataset.i18nAttr = 'aria-label:pwa.dismiss';
+        dismiss.setAttribute('aria-label', t('pwa.dismiss'));
+        dismiss.innerHTML = '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12" /></svg>';
+        dismiss.addEventListener('click', () => toast.remove());
+
+        toast.append(message, reload, dismiss);
+        document.body.appendChild(toast);
+    }
+
+    /**
+     * Register the service worker and watch for new versions of it
+     */
+    function initServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        // The first install also claims the page; only reload for a real update
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then(registration => {
+                if (registration.waiting && hadController) showUpdateToast(registration.waiting);
+
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateToast(worker);
+                    });
+                });
+            })
+            .catch(error => {
+                console.warn('Service worker not registered, offline support unavailable:', error);
+            });
+    }
+
+    /**
+     * offline.html: retry the page that failed, by hand or as soon as the signal returns
+     */
+    function initOfflinePage() {
+        const retry = document.querySelector('[data-offline-retry]');
+        if (!retry) return;
+
+        retry.addEventListener('click', () => window.location.reload());
+        window.addEventListener('online', () => window.location.reload());
+    }
+
+    // Initialize offline page
+    initOfflinePage();
+
+    // ============================================
+    // ANALYTICS (CONSENT-GATED)
+    // ============================================
+
+    const ANALYTICS_CONSENT_KEY = 'uac-analytics-consent';
+    const SCROLL_DEPTH_MARKS = [25, 50, 75, 100];
+
+    /**
+     * Event sinks, chosen by "analytics.sink" in data/site.json. Each takes an event
+     * and its own config block. Events never carry names, emails or form contents.
+     * "console" is for local development only; keep it out of the committed config.
+     */
+    const analyticsSinks = {
+        console: {
+            send(event) {
+                console.info('[analytics]', event.name, event.props);
+            }
+        },
+
+        beacon: {
+            // Off until an endpoint is configured
+            needsEndpoint: true,
+
+            send(event, config) {
+                const body = JSON.stringify(event);
+                // sendBeacon survives the page unloading; fall back to a keepalive fetch
+                if (navigator.sendBeacon && navigator.sendBeacon(config.endpoint, body)) return;
+                fetch(config.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+            }
+        },
+
+        // Keeps events in memory and announces each one as "analytics:event", for tests
+        mock: {
+            events: [],
+            send(event) {
+                this.events.push(event);
+                document.dispatchEvent(new CustomEvent('analytics:event', { detail: event }));
+            }
+        }
+    };
+
+    // Resolves to {sink, config} once initAnalytics has read the site config
+    let analyticsTarget = null;
+
+    /**
+     * Browsers sending Global Privacy Control have already said no
+     * @returns {boolean}
+     */
+    function hasGlobalPrivacyControl() {
+        return navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * @returns {string|null} 'granted', 'denied' or null if the visitor hasn't chosen
+     */
+    function getAnalyticsConsent() {
+        return hasGlobalPrivacyControl() ? 'denied' : readStorage(ANALYTICS_CONSENT_KEY, null);
+    }
+
+    /**
+     * Record an event, if the visitor has accepted analytics
+     * @param {string} name - e.g. cta_click, booking_step
+     * @param {Object} [props]
+     */
+    function track(name, props = {}) {
+        if (!analyticsTarget || getAnalyticsConsent() !== 'granted') return;
+
+        const event = {
+            name,
+            props,
+            page: document.body.dataset.page,
+            lang: currentLang,
+            time: new Date().toISOString()
+        };
+
+        analyticsTarget.then(target => {
+            if (target) target.sink.send(event, target.config);
+        });
+    }
+
+    /**
+     * Remember the visitor's choice and start tracking if they accepted
+     * @param {string} choice - 'granted' | 'denied'
+     */
+    function setAnalyticsConsent(choice) {
+        writeStorage(ANALYTICS_CONSENT_KEY, choice);
+        if (choice === 'granted') track('page_view', { path: window.location.pathname });
+    }
+
+    /**
+     * Ask for consent; nothing is tracked until the visitor accepts
+     */
+    function showConsentBanner() {
+        if (document.querySelector('[data-consent-banner]')) return;
+
+        const banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.dataset.consentBanner = '';
+        banner.setAttribute('aria-labelledby', 'consentTitle');
+
+        const title = createTranslatedSpan('consent.title');
+        title.id = 'consentTitle';
+        title.className = 'consent-title';
+
+        const text = document.createElement('p');
+        text.className = 'consent-text';
+        const privacy = document.createElement('a');
+        privacy.href = 'index.html#privacy';
+        privacy.appendChild(createTranslatedSpan('footer.privacy'));
+        text.append(createTranslatedSpan('consent.text'), ' ', privacy);
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        [['denied', 'consent.decline', 'btn-secondary'], ['granted', 'consent.accept', 'btn-primary']].forEach(([choice, key, style]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${style}`;
+            button.appendChild(createTranslatedSpan(key));
+            button.addEventListener('click', () => {
+                banner.remove();
+                setAnalyticsConsent(choice);
+            });
+            actions.appendChild(button);
+        });
+
+        banner.append(title, text, actions);
+        document.body.appendChild(banner);
+    }
+
+    /**
+     * Track how far down the page visitors get, once per mark
+     */
+    function initScrollDepthTracking() {
+        const reached = new Set();
+
+        scrollScheduler.subscribe({
+            read: state => {
+                const scrollable = document.documentElement.scrollHeight - state.viewportHeight;
+                return scrollable > 0 ? Math.round((state.y / scrollable) * 100) : 100;
+            },
+            write: percent => {
+                // Marks passed before consent count once the visitor accepts
+                if (getAnalyticsConsent() !== 'granted') return;
+
+                SCROLL_DEPTH_MARKS.forEach(mark => {
+                    if (percent < mark || reached.has(mark)) return;
+                    reached.add(mark);
+                    track('scroll_depth', { percent: mark });
+                });
+            }
+        });
+    }
+
+    /**
+     * Pick the sink, ask for consent if one is configured, and hook the page-wide click events
+     */
+    function initAnalytics() {
+        analyticsTarget = loadSiteConfig()
+            .then(({ analytics = {} }) => {
+                const sink = analyticsSinks[analytics.sink];
+                const config = analytics[analytics.sink] || {};
+                if (!sink || (sink.needsEndpoint && !config.endpoint)) return null;
+                return { sink, config };
+            })
+            .catch(() => null);
+
+        // Nothing to ask about while no sink collects anything
+        analyticsTarget.then(target => {
+            if (target && getAnalyticsConsent() === null) showConsentBanner();
+        });
+
+        // Footer "Privacy choices" reopens the banner
+        document.querySelectorAll('[data-consent-open]').forEach(button => {
+            button.addEventListener('click', showConsentBanner);
+        });
+
+        document.addEventListener('click', event => {
+            const cta = event.target.closest('.activity-cta');
+            if (cta) track('cta_click', { section: cta.closest('section[id]')?.id });
+
+            const cardLink = event.target.closest('.card-link');
+            if (cardLink) track('card_click', { package: cardLink.closest('[data-package]')?.dataset.package, href: cardLink.getAttribute('href') });
+        });
+
+        initScrollDepthTracking();
+        track('page_view', { path: window.location.pathname });
+    }
+
+    // ============================================
+    // CONTENT SECTIONS (story, team, FAQ, blog, terms, privacy)
+    // ============================================
+
+    const FAQ_URL = 'data/faq.json';
+    const FAQ_HASH_PREFIX = '#faq-';
+    // Markdown "##" becomes <h3> so it sits under the section's <h2>
+    const MARKDOWN_HEADING_SHIFT = 1;
+    // **bold**, *italic* and [label](href)
+    const MARKDOWN_INLINE_PATTERN = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+    const CHEVRON_ICON = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M6 9l6 6 6-6" /></svg>';
+
+    let faqPromise = null;
+    // Shared questions, kept for the activity detail view which renders synchronously
+    let faqQuestions = [];
+
+    /**
+     * Split "---" front matter (key: value lines) from a Markdown document
+     * @param {string} source
+     * @returns {{meta: Object<string, string>, body: string}}
+     */
+    function parseFrontMatter(source) {
+        const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) return { meta: {}, body: source };
+
+        const meta = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        });
+
+        return { meta, body: source.slice(match[0].length) };
+    }
+
+    /**
+     * Append Markdown inline text as DOM nodes (never as HTML)
+     * @param {HTMLElement} parent
+     * @param {string} text
+     */
+    function appendInlineMarkdown(parent, text) {
+        let last = 0;
+
+        for (const match of text.matchAll(MARKDOWN_INLINE_PATTERN)) {
+            const [whole, bold, italic, label, href] = match;
+            parent.append(text.slice(last, match.index));
+            last = match.index + whole.length;
+
+            let node;
+            if (bold !== undefined) {
+                node = document.createElement('strong');
+                appendInlineMarkdown(node, bold);
+            } else if (italic !== undefined) {
+                node = document.createElement('em');
+                appendInlineMarkdown(node, italic);
+            } else {
+                node = document.createElement('a');
+                // Relative, http(s) and mailto links only
+                const scheme = href.match(/^([a-z][\w+.-]*):/i);
+                if (!scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) node.href = href;
+                if (scheme && scheme[1].toLowerCase().startsWith('http')) {
+                    node.target = '_blank';
+                    node.rel = 'noopener';
+                }
+                appendInlineMarkdown(node, label);
+            }
+            parent.appendChild(node);
+        }
+
+        parent.append(text.slice(last));
+    }
+
+    /**
+     * Render the Markdown the content files use: headings, paragraphs,
+     * bulleted and numbered lists, and inline bold/italic/links
+     * @param {string} source
+     * @returns {DocumentFragment}
+     */
+    function renderMarkdown(source) {
+        const fragment = document.createDocumentFragment();
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (!paragraph.length) return;
+            const p = document.createElement('p');
+            appendInlineMarkdown(p, paragraph.join(' '));
+            fragment.appendChild(p);
+            paragraph = [];
+        };
+
+        source.split(/\r?\n/).forEach(line => {
+            const heading = line.match(/^(#{1,5})\s+(.*)$/);
+            const item = line.match(/^\s*(?:[-*]|(\d+)\.)\s+(.*)$/);
+
+            if (heading || item || !line.trim()) flushParagraph();
+            if (!item) list = null;
+
+            if (heading) {
+                const level = Math.min(heading[1].length + MARKDOWN_HEADING_SHIFT, 6);
+                const title = document.createElement(`h${level}`);
+                appendInlineMarkdown(title, heading[2]);
+                fragment.appendChild(title);
+            } else if (item) {
+                const tag = item[1] ? 'OL' : 'UL';
+                if (!list || list.tagName !== tag) {
+                    list = document.createElement(tag);
+                    fragment.appendChild(list);
+                }
+                const li = document.createElement('li');
+                appendInlineMarkdown(li, item[2]);
+                list.appendChild(li);
+            } else if (line.trim()) {
+                paragraph.push(line.trim());
+            }
+        });
+
+        flushParagraph();
+        return fragment;
+    }
+
+    /**
+     * A <time> that re-formats itself when the language changes
+     * @param {string} isoDate - YYYY-MM-DD
+     * @returns {HTMLTimeElement}
+     */
+    function createContentDate(isoDate) {
+        const time = document.createElement('time');
+        time.dateTime = isoDate;
+        time.dataset.contentDate = '';
+        time.textContent = formatContentDate(isoDate);
+        return time;
+    }
+
+    /**
+     * @param {string} isoDate - YYYY-MM-DD
+     * @returns {string} e.g. 1 October 2026
+     */
+    function formatContentDate(isoDate) {
+        return new Date(`${isoDate}T00:00:00`).toLocaleDateString(getLocale(), {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Fetch (once) data/faq.json and register its English text
+     * @returns {Promise<Object[]>}
+     */
+    function loadFaq() {
+        if (faqPromise) return faqPromise;
+
+        faqPromise = fetchJSON(FAQ_URL).then(({ questions = [] }) => {
+            const strings = {};
+            questions.forEach(item => {
+                strings[`faq.items.${item.id}.question`] = item.question;
+                strings[`faq.items.${item.id}.answer`] = item.answer;
+            });
+            registerStrings(strings);
+
+            faqQuestions = questions;
+            return questions;
+        });
+
+        return faqPromise;
+    }
+
+    /**
+     * Shared questions that also belong in an activity's details
+     * ("activities" in data/faq.json lists activity ids, or "*" for all)
+     * @param {Object} activity
+     * @returns {Array<{id: string, question: string, answer: string}>} Dictionary keys
+     */
+    function getActivityFaqItems(activity) {
+        return faqQuestions
+            .filter(item => (item.activities || []).some(id => id === '*' || id === activity.id))
+            .map(item => ({ id: item.id, question: `faq.items.${item.id}.question`, answer: `faq.items.${item.id}.answer` }));
+    }
+
+    /**
+     * Build an accordion of question buttons that show and hide their answers.
+     * Arrow keys, Home and End move between the visible questions.
+     * @param {Array<{id: string, question: string, answer: string}>} items - Answer and question dictionary keys
+     * @param {Object} options
+     * @param {string} options.idPrefix - Prefix for each item's element id
+     * @param {boolean} [options.linkable] - Mirror the open question in the URL hash
+     * @returns {{element: HTMLElement, items: HTMLElement[], open: Function}}
+     */
+    function createFaqAccordion(items, { idPrefix, linkable = false }) {
+        const accordion = document.createElement('div');
+        accordion.className = 'faq-accordion';
+
+        const setOpen = (item, open) => {
+            item.querySelector('.faq-trigger').setAttribute('aria-expanded', String(open));
+            item.querySelector('.faq-answer').hidden = !open;
+            item.classList.toggle('is-open', open);
+        };
+
+        const elements = items.map(({ id, question, answer }) => {
+            const itemId = `${idPrefix}-${id}`;
+
+            const item = document.createElement('div');
+            item.className = 'faq-item';
+            item.id = itemId;
+            item.dataset.faqId = id;
+
+            const heading = document.createElement('h3');
+            heading.className = 'faq-question';
+            const trigger = document.createElement('button');
+            trigger.type = 'button';
+            trigger.className = 'faq-trigger';
+            trigger.id = `${itemId}-trigger`;
+            trigger.setAttribute('aria-controls', `${itemId}-answer`);
+            trigger.innerHTML = CHEVRON_ICON;
+            trigger.prepend(createTranslatedSpan(question));
+            heading.appendChild(trigger);
+
+            const panel = document.createElement('div');
+            panel.className = 'faq-answer';
+            panel.id = `${itemId}-answer`;
+            panel.setAttribute('role', 'region');
+            panel.setAttribute('aria-labelledby', trigger.id);
+            const text = document.createElement('p');
+            text.appendChild(createTranslatedSpan(answer));
+            panel.appendChild(text);
+
+            item.append(heading, panel);
+            setOpen(item, false);
+
+            trigger.addEventListener('click', () => {
+                const open = trigger.getAttribute('aria-expanded') !== 'true';
+                setOpen(item, open);
+                if (open) track('faq_open', { question: id });
+
+                if (linkable) {
+                    const hash = open ? `#${itemId}` : `#${accordion.closest('section[id]')?.id || ''}`;
+                    history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+                }
+            });
+
+            return item;
+        });
+
+        accordion.addEventListener('keydown', event => {
+            if (!event.target.classList.contains('faq-trigger')) return;
+
+            const triggers = elements.filter(item => !item.hidden).map(item => item.querySelector('.faq-trigger'));
+            const index = triggers.indexOf(event.target);
+            const next = {
+                ArrowDown: triggers[(index + 1) % triggers.length],
+                ArrowUp: triggers[(index - 1 + triggers.length) % triggers.length],
+                Home: triggers[0],
+                End: triggers[triggers.length - 1]
+            }[event.key];
+
+            if (next) {
+                event.preventDefault();
+                next.focus();
+            }
+        });
+
+        accordion.append(...elements);
+
+        return {
+            element: accordion,
+            items: elements,
+            open: item => setOpen(item, true)
+        };
+    }
+
+    /**
+     * Section renderers, chosen by data-content. Each gets the container's
+     * data-src and the container, and resolves to the nodes that replace its fallback.
+     * Markdown is shown as written; JSON text is registered so si.json can translate it.
+     */
+    const contentRenderers = {
+        async markdown(src) {
+            const { meta, body } = parseFrontMatter(await fetchText(src));
+            const fragment = document.createDocumentFragment();
+
+            if (meta.updated) {
+                const updated = document.createElement('p');
+                updated.className = 'content-updated';
+                updated.append(createTranslatedSpan('content.updated'), ' ', createContentDate(meta.updated));
+                fragment.appendChild(updated);
+            }
+
+            fragment.appendChild(renderMarkdown(body));
+            return fragment;
+        },
+
+        // Always data/faq.json, which the activity details share
+        async faq(src, container) {
+            const questions = await loadFaq();
+            const accordion = createFaqAccordion(
+                questions.map(item => ({ id: item.id, question: `faq.items.${item.id}.question`, answer: `faq.items.${item.id}.answer` })),
+                { idPrefix: 'faq', linkable: true }
+            );
+
+            const section = container.closest('section');
+            const search = section.querySelector('[data-faq-search]');
+            const count = section.querySelector('[data-faq-count]');
+
+            const filter = () => {
+                const query = search.value.trim().toLowerCase();
+                let shown = 0;
+
+                accordion.items.forEach(item => {
+                    const match = !query || item.textContent.toLowerCase().includes(query);
+                    item.hidden = !match;
+                    if (match) shown += 1;
+                });
+
+                if (!query) {
+                    count.replaceChildren();
+                } else {
+                    count.replaceChildren(shown
+                        ? createTranslatedSpan('faq.count', { shown, total: accordion.items.length })
+                        : createTranslatedSpan('faq.noResults'));
+                }
+            };
+
+            // Open #faq-<id>, clearing a search that hides it
+            const openFromHash = () => {
+                const hash = window.location.hash;
+                if (!hash.startsWith(FAQ_HASH_PREFIX)) return false;
+
+                const item = accordion.items.find(candidate => `#${candidate.id}` === hash);
+                if (!item) return false;
+
+                if (item.hidden) {
+                    search.value = '';
+                    filter();
+                }
+                accordion.open(item);
+                return item;
+            };
+
+            search.addEventListener('input', debounce(filter, 150));
+            search.closest('[hidden]')?.removeAttribute('hidden');
+
+            openFromHash();
+            window.addEventListener('hashchange', () => {
+                const item = openFromHash();
+                if (item) scrollToElement(item);
+            });
+
+            return accordion.element;
+        },
+
+        async team(src) {
+            const { members = [] } = await fetchJSON(src);
+            const strings = {};
+            const fragment = document.createDocumentFragment();
+
+            members.forEach(member => {
+                strings[`team.members.${member.id}.role`] = member.role;
+                strings[`team.members.${member.id}.bio`] = member.bio;
+            });
+            registerStrings(strings);
+
+            members.forEach(member => {
+                const card = document.createElement('article');
+                card.className = 'team-card';
+
+                const img = document.createElement('img');
+                img.src = member.image;
+                img.alt = member.name;
+                img.loading = 'lazy';
+
+                const name = document.createElement('h3');
+                name.className = 'team-name';
+                name.textContent = member.name;
+
+                const role = createTranslatedSpan(`team.members.${member.id}.role`);
+                role.className = 'team-role';
+
+                const bio = document.createElement('p');
+                bio.className = 'team-bio';
+                bio.appendChild(createTranslatedSpan(`team.members.${member.id}.bio`));
+
+                card.append(img, name, role, bio);
+                fragment.appendChild(card);
+            });
+
+            return fragment;
+        },
+
+        async blog(src) {
+            const { posts = [] } = await fetchJSON(src);
+            const strings = {};
+            const fragment = document.createDocumentFragment();
+
+            posts.forEach(post => {
+                strings[`blog.posts.${post.id}.title`] = post.title;
+                strings[`blog.posts.${post.id}.summary`] = post.summary;
+            });
+            registerStrings(strings);
+
+            posts.forEach(post => {
+                const article = document.createElement('article');
+                article.className = 'blog-card';
+                article.id = `blog-${post.id}`;
+
+                const title = document.createElement('h3');
+                title.className = 'blog-title';
+                title.appendChild(createTranslatedSpan(`blog.posts.${post.id}.title`));
+
+                const date = createContentDate(post.date);
+                date.className = 'blog-date';
+
+                const summary = document.createElement('p');
+                summary.className = 'blog-summary';
+                summary.appendChild(createTranslatedSpan(`blog.posts.${post.id}.summary`));
+
+                // The post itself is fetched the first time it is opened
+                const body = document.createElement('div');
+                body.className = 'blog-body content-body';
+                body.id = `blog-${post.id}-body`;
+                body.hidden = true;
+
+                const toggle = document.createElement('button');
+                toggle.type = 'button';
+                toggle.className = 'btn btn-secondary blog-toggle';
+                toggle.setAttribute('aria-expanded', 'false');
+                toggle.setAttribute('aria-controls', body.id);
+                toggle.appendChild(createTranslatedSpan('blog.read'));
+
+                toggle.addEventListener('click', async () => {
+                    const open = toggle.getAttribute('aria-expanded') !== 'true';
+                    toggle.setAttribute('aria-expanded', String(open));
+                    toggle.replaceChildren(createTranslatedSpan(open ? 'blog.close' : 'blog.read'));
+                    body.hidden = !open;
+                    if (!open || body.childElementCount) return;
+
+                    track('blog_open', { post: post.id });
+                    try {
+                        body.replaceChildren(renderMarkdown(parseFrontMatter(await fetchText(post.src)).body));
+                    } catch (error) {
+                        body.replaceChildren(createTranslatedSpan('content.fallback'));
+                    }
+                });
+
+                article.append(date, title, summary, toggle, body);
+                fragment.appendChild(article);
+            });
+
+            return fragment;
+        }
+    };
+
+    /**
+     * Fill every [data-content] container from its Markdown or JSON source.
+     * Containers keep their static fallback if the source cannot be loaded.
+     * @returns {Promise<void>}
+     */
+    function initContentSections() {
+        const tasks = Array.from(document.querySelectorAll('[data-content]'), container => {
+            const render = contentRenderers[container.dataset.content];
+            if (!render) {
+                console.warn(`Unknown content type "${container.dataset.content}"`);
+                return Promise.resolve();
+            }
+
+            return render(container.dataset.src, container)
+                .then(content => container.replaceChildren(content))
+                .catch(error => {
+                    console.warn(`Could not load the ${container.dataset.content} section:`, error);
+                });
+        });
+
+        // Activity details show the shared questions next to their own
+        if (document.querySelector('[data-activity-detail]')) {
+            tasks.push(loadFaq().catch(error => {
+                console.warn('Could not load the FAQ:', error);
+            }));
+        }
+
+        document.addEventListener('i18n:change', () => {
+            document.querySelectorAll('time[data-content-date]').forEach(time => {
+                time.textContent = formatContentDate(time.dateTime);
+            });
+        });
+
+        return Promise.all(tasks).then(() => {});
+    }
+
+    // ============================================
+    // REVIEWS
+    // ============================================
+
+    const REVIEWS_URL = 'data/reviews.json';
+    const REVIEW_ROTATE_INTERVAL = 7000;
+    const MAX_RATING = 5;
+
+    let reviewsPromise = null;
+
+    /**
+     * Fetch (once) data/reviews.json and register the review text and origins
+     * @returns {Promise<Object[]>}
+     */
+    function loadReviews() {
+        if (reviewsPromise) return reviewsPromise;
+
+        reviewsPromise = fetchJSON(REVIEWS_URL).then(({ reviews = [] }) => {
+            const strings = {};
+            reviews.forEach(review => {
+                strings[`reviews.${review.id}.text`] = review.text;
+                if (review.origin) strings[`reviews.${review.id}.origin`] = review.origin;
+            });
+            registerStrings(strings);
+
+            // Newest first
+            return [...reviews].sort((a, b) => b.date.localeCompare(a.date));
+        });
+
+        return reviewsPromise;
+    }
+
+    /**
+     * Average rating and count for the reviews of any of the given activities
+     * @param {Object[]} reviews
+     * @param {string[]} activityIds
+     * @returns {{average: number, count: number}|null}
+     */
+    function summarizeRatings(reviews, activityIds) {
+        const matching = reviews.filter(review => activityIds.includes(review.activity));
+        if (!matching.length) return null;
+
+        const total = matching.reduce((sum, review) => sum + review.rating, 0);
+        return { average: total / matching.length, count: matching.length };
+    }
+
+    /**
+     * @param {number} average
+     * @returns {string} One decimal place in the active language
+     */
+    function formatRating(average) {
+        return new Intl.NumberFormat(getLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(average);
+    }
+
+    /**
+     * Star rating announced as "Rated N out of 5"
+     * @param {number} rating
+     * @returns {HTMLSpanElement}
+     */
+    function createRatingStars(rating) {
+        const stars = document.createElement('span');
+        stars.className = 'review-stars';
+        stars.setAttribute('role', 'img');
+        stars.dataset.rating = rating;
+        stars.setAttribute('aria-label', t('reviews.rating', { rating }));
+        stars.textContent = '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+        return stars;
+    }
+
+    /**
+     * Add "★ 4.8 (12 reviews)" to each package card from the reviews of its activities
+     * @param {HTMLElement} container - [data-catalogue="packages"]
+     * @param {Object[]} packages
+     * @returns {Promise<void>}
+     */
+    function showPackageRatings(container, packages) {
+        return loadReviews()
+            .then(reviews => {
+                packages.forEach(pkg => {
+                    const summary = summarizeRatings(reviews, pkg.includes || []);
+                    const meta = container.querySelector(`[data-package="${pkg.id}"] .card-meta`);
+                    if (!summary || !meta) return;
+
+                    const rating = document.createElement('span');
+                    rating.className = 'meta-item card-rating';
+                    rating.setAttribute('role', 'img');
+                    rating.dataset.average = summary.average;
+                    rating.dataset.count = summary.count;
+                    updatePackageRating(rating);
+                    meta.appendChild(rating);
+                });
+            })
+            .catch(error => {
+                console.warn('Could not load reviews:', error);
+            });
+    }
+
+    /**
+     * (Re)write a package rating's text and label in the active language
+     * @param {HTMLElement} rating - .card-rating with data-average and data-count
+     */
+    function updatePackageRating(rating) {
+        const params = { rating: formatRating(Number(rating.dataset.average)), count: Number(rating.dataset.count) };
+        const one = params.count === 1;
+        rating.textContent = t(one ? 'reviews.averageOne' : 'reviews.average', params);
+        rating.setAttribute('aria-label', t(one ? 'reviews.averageLabelOne' : 'reviews.averageLabel', params));
+    }
+
+    /**
+     * Build one review slide
+     * @param {Object} review
+     * @param {Object<string, Object>} activities - Catalogue activities by id
+     * @returns {HTMLElement}
+     */
+    function renderReviewCard(review, activities) {
+        const card = document.createElement('blockquote');
+        card.className = 'review-card';
+        card.id = `review-${review.id}`;
+        card.setAttribute('role', 'group');
+
+        const text = document.createElement('p');
+        text.className = 'review-text';
+        text.dataset.i18n = `reviews.${review.id}.text`;
+        text.textContent = t(`reviews.${review.id}.text`);
+
+        const author = document.createElement('footer');
+        author.className = 'review-author';
+        const name = document.createElement('strong');
+        name.textContent = review.author;
+        author.appendChild(name);
+        if (review.origin) author.appendChild(createTranslatedSpan(`reviews.${review.id}.origin`));
+
+        const meta = document.createElement('span');
+        meta.className = 'review-meta';
+        const activity = activities[review.activity];
+        if (activity) meta.append(createTranslatedSpan(catalogueKey(activity, 'title')), ' · ');
+        meta.appendChild(createContentDate(review.date));
+        author.appendChild(meta);
+
+        card.append(createRatingStars(review.rating), text, author);
+        return card;
+    }
+
+    /**
+     * Rotate through the reviews, showing as many at once as the grid has columns.
+     * Rotation pauses while the pointer or focus is inside, when the pause button
+     * is used, and never starts for visitors who prefer reduced motion.
+     * @param {HTMLElement} carousel - [data-reviews-carousel]
+     * @param {HTMLElement[]} slides
+     */
+    function initReviewCarousel(carousel, slides) {
+        const list = carousel.querySelector('[data-reviews-track]');
+        const controls = carousel.querySelector('[data-reviews-controls]');
+        const toggle = carousel.querySelector('[data-reviews-toggle]');
+
+        let current = 0;
+        let perView = 1;
+        let timer = null;
+        // Set by the pause button; hover and focus only hold rotation while they last
+        let paused = prefersReducedMotion();
+        let held = false;
+
+        const labelSlides = () => {
+            slides.forEach((slide, index) => {
+                slide.setAttribute('aria-roledescription', t('reviews.slideRole'));
+                slide.setAttribute('aria-label', t('reviews.slide', { number: index + 1, total: slides.length }));
+            });
+        };
+
+        const render = () => {
+            slides.forEach((slide, index) => {
+                slide.hidden = (index - current + slides.length) % slides.length >= perView;
+            });
+        };
+
+        const show = index => {
+            current = (index + slides.length) % slides.length;
+            render();
+        };
+
+        const stop = () => {
+            clearInterval(timer);
+            timer = null;
+        };
+
+        const start = () => {
+            stop();
+            if (paused || held || slides.length <= perView) return;
+            timer = setInterval(() => show(current + 1), REVIEW_ROTATE_INTERVAL);
+        };
+
+        const updateToggle = () => {
+            toggle.classList.toggle('is-paused', paused);
+            toggle.dataset.i18nAttr = `aria-label:${paused ? 'reviews.play' : 'reviews.pause'}`;
+            toggle.setAttribute('aria-label', t(paused ? 'reviews.play' : 'reviews.pause'));
+            // Announce slide changes only while they are the visitor's doing
+            list.setAttribute('aria-live', paused ? 'polite' : 'off');
+        };
+
+        list.replaceChildren(...slides);
+        labelSlides();
+        updateToggle();
+
+        carousel.querySelector('[data-reviews-prev]').addEventListener('click', () => show(current - 1));
+        carousel.querySelector('[data-reviews-next]').addEventListener('click', () => show(current + 1));
+        toggle.addEventListener('click', () => {
+            paused = !paused;
+            updateToggle();
+            start();
+        });
+
+        const hold = value => {
+            held = value;
+            start();
+        };
+        carousel.addEventListener('mouseenter', () => hold(true));
+        carousel.addEventListener('mouseleave', () => hold(carousel.contains(document.activeElement)));
+        carousel.addEventListener('focusin', () => hold(true));
+        carousel.addEventListener('focusout', event => {
+            if (!carousel.contains(event.relatedTarget)) hold(carousel.matches(':hover'));
+        });
+
+        // Slides per view follow the grid's column count in style.css
+        scrollScheduler.subscribe({
+            read: () => getComputedStyle(list).gridTemplateColumns.split(' ').filter(Boolean).length || 1,
+            write: columns => {
+                perView = Math.min(columns, slides.length);
+                controls.hidden = slides.length <= perView;
+                render();
+                start();
+            },
+            scroll: false,
+            resize: true
+        });
+
+        document.addEventListener('i18n:change', () => {
+            labelSlides();
+            updateToggle();
+        });
+    }
+
+    /**
+     * Send the "leave a review" form through the booking backend
+     */
+    function initReviewForm() {
+        const form = document.getElementById('review-form');
+        if (!form) return;
+
+        const status = document.getElementById('review-status');
+        const toggle = document.querySelector('[data-review-form-toggle]');
+        const validator = createFormValidator(form, {
+            name: [validators.required(), validators.maxLength(100)],
+            origin: [validators.maxLength(100)],
+            activity: [validators.required()],
+            rating: [validators.required(), validators.range(1, MAX_RATING)],
+            review: [validators.required(), validators.maxLength(1000)],
+            email: [validators.email()]
+        });
+
+        loadCatalogue()
+            .then(({ activities }) => {
+                const select = form.querySelector('[data-review-activities]');
+                activities.forEach(activity => {
+                    const option = document.createElement('option');
+                    option.value = activity.id;
+                    option.dataset.i18n = catalogueKey(activity, 'title');
+                    option.textContent = catalogueText(activity, 'title');
+                    select.appendChild(option);
+                });
+            })
+            .catch(() => {});
+
+        toggle?.addEventListener('click', () => {
+            const open = form.hidden;
+            form.hidden = !open;
+            toggle.setAttribute('aria-expanded', String(open));
+            if (open) form.elements.name.focus();
+        });
+
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            if (!validator.validate()) return;
+
+            const data = new FormData(form);
+            data.append('form_type', 'review');
+            data.append('language', currentLang);
+            const fields = Array.from(data.entries());
+
+            const btn = form.querySelector('button[type="submit"]');
+            const originalContent = Array.from(btn.childNodes);
+            btn.disabled = true;
+            btn.textContent = t('booking.status.sending');
+            status.textContent = '';
+            status.className = 'form-status';
+
+            try {
+                const result = await submitBooking(fields);
+                track('review_submit', { outcome: result.ok ? 'sent' : 'rejected', rating: Number(data.get('rating')) });
+
+                if (result.ok) {
+                    status.textContent = t('reviews.status.success');
+                    status.classList.add('success');
+                    form.reset();
+                } else if (result.errors.length) {
+                    const { fields: invalidFields, unmatched } = validator.applyServerErrors(result.errors);
+                    if (invalidFields.length) invalidFields[0].focus();
+                    status.textContent = unmatched.length ? unmatched.join(' ') : t('booking.status.fieldErrors');
+                    status.classList.add('error');
+                } else {
+                    status.textContent = t('booking.status.error');
+                    status.classList.add('error');
+                }
+            } catch (error) {
+                // Reviews aren't queued like bookings; keep the text so it can be sent again
+                status.textContent = t(isNetworkError(error) ? 'reviews.status.offline' : 'booking.status.error');
+                status.classList.add('error');
+            } finally {
+                btn.disabled = false;
+                btn.replaceChildren(...originalContent);
             }
-        }, { passive: true });
+        });
     }
 
-    // Initialize parallax
-    initParallax();
+    /**
+     * Render the reviews carousel. The static quotes stay in place if the reviews cannot be loaded.
+     * @returns {Promise<void>}
+     */
+    function initReviews() {
+        document.addEventListener('i18n:change', () => {
+            document.querySelectorAll('.review-stars[data-rating]').forEach(stars => {
+                stars.setAttribute('aria-label', t('reviews.rating', { rating: Number(stars.dataset.rating) }));
+            });
+            document.querySelectorAll('.card-rating[data-average]').forEach(updatePackageRating);
+        });
+
+        const carousel = document.querySelector('[data-reviews-carousel]');
+        if (!carousel) return Promise.resolve();
+
+        const catalogue = loadCatalogue().catch(() => ({ activities: [] }));
+        return Promise.all([loadReviews(), catalogue])
+            .then(([reviews, { activities }]) => {
+                if (!reviews.length) return;
+                const byId = Object.fromEntries(activities.map(activity => [activity.id, activity]));
+                initReviewCarousel(carousel, reviews.map(review => renderReviewCard(review, byId)));
+            })
+            .catch(error => {
+                console.warn('Could not load reviews:', error);
+            });
+    }
+
+    // ============================================
+    // PRICING & CURRENCY
+    // ============================================
+
+    const CURRENCY_RATES_URL = 'data/currencies.json';
+    const CURRENCY_STORAGE_KEY = 'uac-currency';
+    // Catalogue prices, estimates and bookings are in rupees; other currencies are a guide
+    const BASE_CURRENCY = 'LKR';
+
+    // Rupees per unit of each currency, from data/currencies.json
+    let currencyRates = { [BASE_CURRENCY]: 1 };
+    let currentCurrency = BASE_CURRENCY;
+
+    /**
+     * Format a rupee amount in the visitor's currency
+     * @param {number} amount - Amount in rupees
+     * @param {string} [locale] - Defaults to the active language
+     * @param {string} [currency] - Defaults to the chosen currency
+     * @returns {string}
+     */
+    function formatPrice(amount, locale = getLocale(), currency = currentCurrency) {
+        if (!currencyRates[currency] || currency === BASE_CURRENCY) {
+            return new Intl.NumberFormat(locale, { style: 'currency', currency: BASE_CURRENCY, maximumFractionDigits: 0 }).format(amount);
+        }
+        // Converted amounts keep the currency's usual decimals (cents, pence)
+        return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount / currencyRates[currency]);
+    }
+
+    /**
+     * Per-person price for a group size, from the entry's "groupPrices" tiers
+     * @param {Object} entry - Activity or package
+     * @param {number} guests - Headcount
+     * @returns {number} Rupees
+     */
+    function getGroupPrice(entry, guests) {
+        return (entry.groupPrices || []).reduce((price, tier) => (guests >= tier.minGuests ? tier.price : price), entry.price);
+    }
+
+    /**
+     * Cheapest per-person price the entry can be booked at
+     * @param {Object} entry
+     * @returns {number}
+     */
+    function getLowestPrice(entry) {
+        return Math.min(entry.price, ...(entry.groupPrices || []).map(tier => tier.price));
+    }
+
+    /**
+     * Make an element show a rupee amount, converted and formatted on every
+     * language or currency change (see refreshPrices)
+     * @param {HTMLElement} el
+     * @param {number} amount - Rupees
+     * @param {string} [key] - Dictionary key with a {price} placeholder
+     * @param {Object} [params] - Other placeholder values
+     * @returns {HTMLElement} el
+     */
+    function setPriceLabel(el, amount, key, params) {
+        el.dataset.price = amount;
+        if (key) el.dataset.priceKey = key;
+        if (params) el.dataset.priceParams = JSON.stringify(params);
+        updatePriceLabel(el);
+        return el;
+    }
+
+    /**
+     * @param {HTMLElement} el - Element with data-price
+     */
+    function updatePriceLabel(el) {
+        const price = formatPrice(Number(el.dataset.price));
+        const params = el.dataset.priceParams ? JSON.parse(el.dataset.priceParams) : {};
+        el.textContent = el.dataset.priceKey ? t(el.dataset.priceKey, { ...params, price }) : price;
+    }
+
+    /**
+     * Re-render every price label under root
+     * @param {ParentNode} [root=document]
+     */
+    function refreshPrices(root = document) {
+        root.querySelectorAll('[data-price]').forEach(updatePriceLabel);
+    }
+
+    /**
+     * Card price: the single price, or "from" the cheapest group rate
+     * @param {Object} entry
+     * @returns {HTMLSpanElement}
+     */
+    function createCardPrice(entry) {
+        return entry.groupPrices
+            ? setPriceLabel(document.createElement('span'), getLowestPrice(entry), 'pricing.from')
+            : setPriceLabel(document.createElement('span'), entry.price, 'pricing.perPerson');
+    }
+
+    /**
+     * Price per guest range, e.g. "1–9 guests: LKR 2,500 per person"
+     * @param {Object} entry - Entry with "groupPrices"
+     * @returns {HTMLUListElement}
+     */
+    function createGroupPriceList(entry) {
+        const tiers = [{ minGuests: 1, price: entry.price }, ...entry.groupPrices];
+        const list = document.createElement('ul');
+        list.className = 'group-price-list';
+
+        tiers.forEach((tier, index) => {
+            const next = tiers[index + 1];
+            const item = document.createElement('li');
+            const range = next
+                ? createTranslatedSpan('pricing.range', { min: tier.minGuests, max: next.minGuests - 1 })
+                : createTranslatedSpan('pricing.rangeOpen', { min: tier.minGuests });
+            item.append(range, setPriceLabel(document.createElement('strong'), tier.price, 'pricing.perPerson'));
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Currency name in the active language, e.g. "US Dollar"
+     * @param {string} code
+     * @returns {string}
+     */
+    function getCurrencyName(code) {
+        try {
+            return new Intl.DisplayNames(getLocale(), { type: 'currency' }).of(code);
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Show the "converted from rupees" notes while another currency is chosen
+     */
+    function updateCurrencyNotes() {
+        document.querySelectorAll('[data-currency-note]').forEach(note => {
+            note.hidden = currentCurrency === BASE_CURRENCY;
+        });
+    }
+
+    /**
+     * Switch the displayed currency, remember it and notify other modules
+     * @param {string} code - ISO 4217 code from data/currencies.json
+     */
+    function setCurrency(code) {
+        currentCurrency = currencyRates[code] ? code : BASE_CURRENCY;
+        writeStorage(CURRENCY_STORAGE_KEY, currentCurrency);
+
+        document.querySelectorAll('.currency-select').forEach(select => {
+            select.value = currentCurrency;
+        });
+        updateCurrencyNotes();
+        refreshPrices();
+
+        document.dispatchEvent(new CustomEvent('currency:change', { detail: { currency: currentCurrency } }));
+    }
+
+    /**
+     * Load the rate table and restore the saved currency.
+     * Prices stay in rupees if the table cannot be loaded.
+     * @returns {Promise<void>}
+     */
+    function initCurrency() {
+        // applyTranslations cannot format prices, so redo them on language change too
+        document.addEventListener('i18n:change', () => refreshPrices());
+
+        return fetchJSON(CURRENCY_RATES_URL)
+            .then(table => {
+                currencyRates = { ...table.rates, [BASE_CURRENCY]: 1 };
+                const saved = readStorage(CURRENCY_STORAGE_KEY, BASE_CURRENCY);
+                if (saved !== BASE_CURRENCY) setCurrency(saved);
+            })
+            .catch(error => {
+                console.warn('Could not load currency rates:', error);
+            });
+    }
+
+    /**
+     * Fill the footer currency selectors from the rate table
+     */
+    function initCurrencySwitcher() {
+        const selects = document.querySelectorAll('.currency-select');
+        if (!selects.length || Object.keys(currencyRates).length < 2) return;
+
+        const renderOptions = () => {
+            selects.forEach(select => {
+                select.replaceChildren(...Object.keys(currencyRates).map(code => {
+                    const name = getCurrencyName(code);
+                    return new Option(name === code ? code : `${code} · ${name}`, code);
+                }));
+                select.value = currentCurrency;
+            });
+        };
+
+        renderOptions();
+        updateCurrencyNotes();
+        selects.forEach(select => {
+            select.addEventListener('change', () => {
+                setCurrency(select.value);
+                track('currency_change', { currency: select.value });
+            });
+            select.closest('[data-currency-switcher]').hidden = false;
+        });
+
+        document.addEventListener('i18n:change', renderOptions);
+    }
+
+    // ============================================
+    // GLOBAL COMPONENTS LOADER
+    // ============================================
+
+    const PARTIALS_PATH = 'partials/';
+
+    /**
+     * Replace a [data-component] placeholder with its shared partial.
+     * If the partial can't be fetched the placeholder's own markup stays as a static fallback.
+     * @param {HTMLElement} placeholder - Element with data-component="name"
+     * @returns {Promise<void>}
+     */
+    function loadComponent(placeholder) {
+        const name = placeholder.dataset.component;
+
+        return fetch(`${PARTIALS_PATH}${name}.html`)
+            .then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                return response.text();
+            })
+            .then(html => {
+                const template = document.createElement('template');
+                template.innerHTML = html.trim();
+                placeholder.replaceWith(template.content);
+            })
+            .catch(error => {
+                console.warn(`Component "${name}" not loaded, keeping static fallback:`, error);
+            });
+    }
+
+    /**
+     * Load every shared component on the page in parallel
+     * @returns {Promise<void[]>}
+     */
+    function loadComponents() {
+        const placeholders = document.querySelectorAll('[data-component]');
+        return Promise.all(Array.from(placeholders, loadComponent));
+    }
+
+    /**
+     * Partials link to "index.html#section" so they work on every page.
+     * On the home page turn those into plain hashes so they scroll instead of reloading.
+     */
+    function localizeHomeLinks() {
+        if (document.body.dataset.page !== 'home') return;
+
+        document.querySelectorAll('a[href^="index.html"]').forEach(link => {
+            const hash = link.getAttribute('href').substring('index.html'.length);
+            link.setAttribute('href', hash || '#');
+        });
+    }
+
+    /**
+     * Highlight the nav link matching <body data-page>, or the section scroll-spy
+     * reports. The page's own link always keeps aria-current="page".
+     * @param {string} [section] - data-nav key of the section in view
+     */
+    function setActiveNavLink(section) {
+        const page = document.body.dataset.page;
+        const current = section || page;
+
+        document.querySelectorAll('[data-nav]').forEach(link => {
+            const key = link.dataset.nav;
+            link.classList.toggle('active', key === current);
+
+            if (key === page) {
+                link.setAttribute('aria-current', 'page');
+            } else if (key === current) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * The browser tries to jump to the URL hash before the partials exist,
+     * so retry once they are in the page (e.g. gallery.html#book)
+     */
+    function scrollToInitialHash() {
+        if (!window.location.hash) return;
+        if (handleActivityRoute()) return;
+
+        const target = document.getElementById(window.location.hash.substring(1));
+        if (target) scrollToElement(target);
+    }
+
+    /**
+     * Wire up everything that lives inside the shared components.
+     * Runs as soon as the partials are in, without waiting for data sections.
+     */
+    function initSharedComponents() {
+        cacheDomElements();
+        localizeHomeLinks();
+        setActiveNavLink();
+        initHeaderScroll();
+        initScrollSpy();
+        initBackToTop();
+        initMobileMenu();
+        initSmoothScroll();
+        initI18n();
+        initBookingForm();
+        initReviewForm();
+        initBookActivityLinks();
+        initVideoModal();
+        initServiceWorker();
+        initAnalytics();
+    }
+
+    // Inject the shared partials and render each data section independently;
+    // a slow catalogue or gallery fetch no longer holds up the header and menus
+    const componentsReady = loadComponents().then(initSharedComponents);
+    const galleryReady = initGallery();
+    const currencyReady = initCurrency();
+    const sectionsReady = [initCatalogue(), galleryReady, initContentSections(), initReviews(), currencyReady];
+
+    // Wiring that needs a partial and a data section: the footer currency selector
+    // needs the rate table, the lightbox needs the photos its #photo-N links open
+    Promise.all([componentsReady, currencyReady]).then(initCurrencySwitcher);
+    Promise.all([componentsReady, galleryReady]).then(initLightboxes);
+
+    Promise.all([componentsReady, ...sectionsReady]).then(() => {
+        // Partials and rendered sections can carry data-animate too
+        initAnimations();
+        // Hash targets such as activities.html#kayaking may only exist now
+        scrollToInitialHash();
+    });
+
+    // ============================================
+    // FORM VALIDATION
+    // ============================================
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+    // 0771234567, 771234567, +94 77 123 4567, 0094 11 234 5678 (mobile and landline)
+    const SL_PHONE_PATTERN = /^(?:\+94|0094|94|0)?[1-9]\d{8}$/;
+    // E.164: + country code and up to 15 digits, e.g. +44 20 7946 0958
+    const INTL_PHONE_PATTERN = /^(?:\+|00)[1-9]\d{7,14}$/;
+
+    /**
+     * Reusable field rules. Each returns a translated error message, or '' when the value passes.
+     * Rules other than `required` ignore empty values so optional fields stay optional.
+     */
+    const validators = {
+        required: () => value => (value ? '' : t('validation.required')),
+
+        email: () => value => (!value || EMAIL_PATTERN.test(value) ? '' : t('validation.email')),
+
+        phone: () => value => {
+            if (!value) return '';
+            const digits = value.replace(/[\s\-().]/g, '');
+            return SL_PHONE_PATTERN.test(digits) || INTL_PHONE_PATTERN.test(digits) ? '' : t('validation.phone');
+        },
+
+        maxLength: max => value => (value.length <= max ? '' : t('validation.tooLong', { max })),
+
+        range: (min, max) => value => {
+            if (!value) return '';
+            const number = Number(value);
+            return Number.isInteger(number) && number >= min && number <= max
+                ? ''
+                : t('validation.range', { min, max });
+        }
+    };
+
+    /**
+     * Add or remove one id in an element's aria-describedby list
+     * @param {HTMLElement} field
+     * @param {string} id
+     * @param {boolean} add
+     */
+    function toggleDescribedBy(field, id, add) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        const next = add ? Array.from(new Set([...ids, id])) : ids.filter(existing => existing !== id);
+
+        if (next.length) {
+            field.setAttribute('aria-describedby', next.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * Attach per-field validation with inline error messages to a form
+     * @param {HTMLFormElement} form
+     * @param {Object<string, Function[]>} rules - Rules keyed by field name
+     * @returns {Object} Validator API
+     */
+    function createFormValidator(form, rules) {
+        const touched = new Set();
+
+        function getErrorElement(field) {
+            const id = `${field.id || field.name}-error`;
+            let error = document.getElementById(id);
+
+            if (!error) {
+                error = document.createElement('p');
+                error.id = id;
+                error.className = 'field-error';
+                (field.closest('.form-group') || field.parentElement).appendChild(error);
+            }
+
+            return error;
+        }
+
+        /**
+         * Show or clear the inline error for a field
+         * @param {HTMLElement} field
+         * @param {string} message - Empty string clears the error
+         */
+        function setFieldError(field, message) {
+            const error = getErrorElement(field);
+            error.textContent = message;
+            error.hidden = !message;
+
+            if (message) {
+                field.setAttribute('aria-invalid', 'true');
+            } else {
+                field.removeAttribute('aria-invalid');
+            }
+            toggleDescribedBy(field, error.id, Boolean(message));
+        }
+
+        /**
+         * Run a field's rules and show the first failure
+         * @param {HTMLElement} field
+         * @returns {boolean} Whether the field is valid
+         */
+        function validateField(field) {
+            const fieldRules = rules[field.name] || [];
+            const value = field.value.trim();
+            const message = fieldRules.reduce((found, rule) => found || rule(value, field), '');
+
+            touched.add(field.name);
+            setFieldError(field, message);
+            return !message;
+        }
+
+        /**
+         * Validate every ruled field inside a container, focusing the first invalid one
+         * @param {HTMLElement} [container=form]
+         * @returns {boolean} Whether all fields are valid
+         */
+        function validate(container = form) {
+            const fields = Array.from(container.querySelectorAll('[name]')).filter(field => rules[field.name]);
+            const invalid = fields.filter(field => !validateField(field));
+
+            if (invalid.length) invalid[0].focus();
+            return invalid.length === 0;
+        }
+
+        /**
+         * Put server-side errors (Formspree `errors` array) onto matching fields
+         * @param {Array<{field?: string, message: string}>} errors
+         * @returns {{fields: HTMLElement[], unmatched: string[]}}
+         */
+        function applyServerErrors(errors) {
+            const fields = [];
+            const unmatched = [];
+
+            errors.forEach(error => {
+                const field = error.field && form.elements[error.field];
+                if (field instanceof HTMLElement) {
+                    setFieldError(field, error.message);
+                    fields.push(field);
+                } else {
+                    unmatched.push(error.message);
+                }
+            });
+
+            return { fields, unmatched };
+        }
+
+        function clearErrors() {
+            touched.clear();
+            form.querySelectorAll('[aria-invalid="true"]').forEach(field => setFieldError(field, ''));
+        }
+
+        /**
+         * Add a rule for a field after creation (for rules that need outside state)
+         * @param {string} name - Field name
+         * @param {Function} rule
+         */
+        function addRule(name, rule) {
+            rules[name] = [...(rules[name] || []), rule];
+        }
+
+        // Validate on blur, then live while the user fixes a field
+        form.addEventListener('focusout', event => {
+            if (rules[event.target.name] && event.target.value) validateField(event.target);
+        });
+
+        form.addEventListener('input', event => {
+            if (touched.has(event.target.name)) validateField(event.target);
+        });
+
+        // Re-translate visible errors
+        document.addEventListener('i18n:change', () => {
+            form.querySelectorAll('[aria-invalid="true"]').forEach(validateField);
+        });
+
+        return { validate, validateField, applyServerErrors, clearErrors, addRule };
+    }
+
+    // ============================================
+    // BOOKING WIZARD
+    // ============================================
+
+    const BOOKING_SCHEDULE_URL = 'data/schedule.json';
+    // Offers for promo codes and gift vouchers, checked by voucher-rules.js
+    const BOOKING_VOUCHERS_URL = 'data/vouchers.json';
+
+    /**
+     * Format a Date as a local YYYY-MM-DD string (the value format of <input type="date">)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Format a YYYY-MM-DD date for display in the active language
+     * @param {string} isoDate
+     * @returns {string}
+     */
+    function formatDate(isoDate) {
+        return new Date(`${isoDate}T00:00:00`).toLocaleDateString(getLocale(), {
+            weekday: 'short',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    /**
+     * Check whether a date falls inside the booking season
+     * @param {string} isoDate - YYYY-MM-DD
+     * @param {{start: string, end: string}} [season] - Inclusive MM-DD bounds
+     * @returns {boolean}
+     */
+    function isInSeason(isoDate, season) {
+        if (!season) return true;
+
+        const monthDay = isoDate.substring(5);
+        if (season.start <= season.end) {
+            return monthDay >= season.start && monthDay <= season.end;
+        }
+        // Season that wraps the new year, e.g. 11-01 to 03-31
+        return monthDay >= season.start || monthDay <= season.end;
+    }
+
+    /**
+     * Work out whether a date can be booked for the chosen activities
+     * @param {string} isoDate - YYYY-MM-DD
+     * @param {Object|null} schedule - Contents of data/schedule.json
+     * @param {string[]} activityIds - Selected activity ids
+     * @returns {{available: boolean, reason?: string, activityId?: string}}
+     */
+    function getDateAvailability(isoDate, schedule, activityIds) {
+        if (isoDate < toISODate(new Date())) return { available: false, reason: 'past' };
+        if (!schedule) return { available: true };
+
+        if (!isInSeason(isoDate, schedule.season)) return { available: false, reason: 'season' };
+        if ((schedule.fullyBooked || []).includes(isoDate)) return { available: false, reason: 'full' };
+
+        const activityFull = schedule.activityFullyBooked || {};
+        const clash = activityIds.find(id => (activityFull[id] || []).includes(isoDate));
+        if (clash) return { available: false, reason: 'activityFull', activityId: clash };
+
+        return { available: true };
+    }
+
+    /**
+     * Find the first bookable date on or after a given date (looks ahead about a year)
+     * @param {string} fromIsoDate - YYYY-MM-DD
+     * @param {Object|null} schedule
+     * @param {string[]} activityIds
+     * @returns {string|null}
+     */
+    function findNextAvailableDate(fromIsoDate, schedule, activityIds) {
+        const date = new Date(`${fromIsoDate}T00:00:00`);
+
+        for (let i = 0; i < 400; i++) {
+            const isoDate = toISODate(date);
+            if (getDateAvailability(isoDate, schedule, activityIds).available) return isoDate;
+            date.setDate(date.getDate() + 1);
+        }
 
-    // ============================================
-    // HERO ENTRANCE ANIMATION
-    // ============================================
+        return null;
+    }
+
+    /**
+     * Estimate the price of the chosen activities for a group, at its group rate
+     * @param {Object[]} activities - Catalogue entries with a price per person
+     * @param {number} guests - Headcount
+     * @returns {{perPerson: number, total: number}}
+     */
+    function calculateEstimate(activities, guests) {
+        const perPerson = activities.reduce((sum, activity) => sum + getGroupPrice(activity, guests), 0);
+        return { perPerson, total: perPerson * guests };
+    }
 
     /**
-     * Animate hero elements on page load
+     * Turn #booking-form into a four-step wizard:
+     * activities → date & group → contact details → review
+     * @param {HTMLFormElement} form
+     * @param {Object} validator - From createFormValidator
+     * @returns {Object} Controls used by the submit handler
      */
-    function animateHeroEntrance() {
-        if (prefersReducedMotion()) return;
+    function initBookingWizard(form, validator) {
+        const steps = Array.from(form.querySelectorAll('.wizard-step'));
+        const indicators = form.querySelectorAll('[data-step-indicator]');
+        const optionsContainer = form.querySelector('[data-wizard-activities]');
+        const activitiesNote = form.querySelector('[data-wizard-note="activities"]');
+        const dateNote = form.querySelector('[data-wizard-note="date"]');
+        const voucherNote = form.querySelector('[data-wizard-note="voucher"]');
+        const estimatePanel = form.querySelector('[data-wizard-estimate]');
+        const review = form.querySelector('[data-wizard-review]');
+        const backBtn = form.querySelector('[data-wizard-back]');
+        const nextBtn = form.querySelector('[data-wizard-next]');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const dateInput = form.elements.date;
+        const guestsInput = form.elements.guests;
+        const voucherInput = form.elements.voucher;
 
-        const heroHeadline = document.querySelector('.hero-headline');
-        const heroSubheadline = document.querySelector('.hero-subheadline');
-        const heroCtAs = document.querySelector('.hero-ctas');
-        const heroInfoBar = document.querySelector('.hero-info-bar');
-        const heroBg = document.querySelector('.hero-bg img');
+        let catalogue = [];
+        let schedule = null;
+        // null until data/vouchers.json loads; codes are then only checked for typos
+        let voucherRules = null;
+        let currentStep = 0;
 
-        // Initial states
-        if (heroBg) {
-            heroBg.style.opacity = '0';
-            heroBg.style.transform = 'scale(1.18)';
+        function getSelectedActivities() {
+            const ids = Array.from(form.querySelectorAll('input[name="activities"]:checked'), input => input.value);
+            return catalogue.filter(activity => ids.includes(activity.id));
         }
 
-        const headlineLines = heroHeadline?.querySelectorAll('.headline-line') || [];
-        headlineLines.forEach(line => {
-            line.style.opacity = '0';
-            line.style.transform = 'translateY(40px)';
-        });
+        function getGuests() {
+            const guests = parseInt(guestsInput.value, 10);
+            return Number.isFinite(guests) && guests > 0 ? guests : 0;
+        }
+
+        /**
+         * Build the checkbox for one bookable catalogue entry
+         * @param {Object} entry - Activity or package
+         * @returns {HTMLLabelElement}
+         */
+        function createActivityOption(entry) {
+            const option = document.createElement('label');
+            option.className = 'activity-option';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = 'activities';
+            input.value = entry.id;
+
+            const title = createTranslatedSpan(catalogueKey(entry, 'title'));
+            title.className = 'activity-option-title';
+
+            const price = setPriceLabel(document.createElement('span'), entry.price, 'booking.estimate.perPersonShort');
+            price.className = 'activity-option-price';
+
+            const meta = document.createElement('span');
+            meta.className = 'activity-option-meta';
+            meta.append(createTranslatedSpan(catalogueKey(entry, 'duration')), price);
+
+            option.append(input, title, meta);
+            return option;
+        }
 
-        if (heroSubheadline) {
-            heroSubheadline.style.opacity = '0';
-            heroSubheadline.style.transform = 'translateY(18px)';
+        /**
+         * Render the bookable activities, then the packages under their own heading
+         */
+        function renderActivityOptions() {
+            const options = catalogue.filter(entry => entry.type === 'activity').map(createActivityOption);
+            const packages = catalogue.filter(entry => entry.type === 'package').map(createActivityOption);
+
+            if (packages.length) {
+                const heading = createTranslatedSpan('booking.field.packages');
+                heading.className = 'activity-options-heading';
+                options.push(heading, ...packages);
+            }
+
+            optionsContainer.replaceChildren(...options);
+        }
+
+        /**
+         * Check the promo code or voucher against the current booking
+         * @returns {Object|null} VoucherRules.evaluate result, or null without a code
+         */
+        function evaluateVoucher() {
+            const code = voucherInput ? voucherInput.value.trim() : '';
+            if (!code || !window.VoucherRules) return null;
+
+            const guests = getGuests();
+            const items = getSelectedActivities().map(entry => ({ id: entry.id, total: getGroupPrice(entry, guests) * guests }));
+            return window.VoucherRules.evaluate(code, voucherRules || [], { date: dateInput.value, guests, items });
         }
 
-        if (heroCtAs) {
-            heroCtAs.style.opacity = '0';
-            heroCtAs.style.transform = 'translateY(18px)';
+        /**
+         * @returns {number} Rupees off the estimate from a valid code
+         */
+        function getVoucherDiscount() {
+            const voucher = evaluateVoucher();
+            return voucher && voucher.valid ? voucher.discount : 0;
         }
 
-        if (heroInfoBar) {
-            heroInfoBar.style.opacity = '0';
-            heroInfoBar.style.transform = 'translateY(24px)';
+        function updateEstimate() {
+            const selected = getSelectedActivities();
+            estimatePanel.hidden = selected.length === 0;
+            if (!selected.length) return;
+
+            const estimate = calculateEstimate(selected, getGuests());
+            const discount = getVoucherDiscount();
+            estimatePanel.querySelector('[data-estimate="perPerson"]').textContent = formatPrice(estimate.perPerson);
+            estimatePanel.querySelector('[data-estimate="discount"]').textContent = `−${formatPrice(discount)}`;
+            estimatePanel.querySelector('[data-estimate-discount]').hidden = !discount;
+            estimatePanel.querySelector('[data-estimate="total"]').textContent = formatPrice(estimate.total - discount);
         }
 
-        // Trigger animations
-        requestAnimationFrame(() => {
-            // Background
-            if (heroBg) {
-                setTimeout(() => {
-                    heroBg.style.transition = 'opacity 1.1s ease, transform 1.1s ease';
-                    heroBg.style.opacity = '1';
-                    heroBg.style.transform = 'scale(1.08)';
-                }, 100);
+        /**
+         * Validation rule for the preferred date: not in the past, in season and not booked out
+         * @param {string} isoDate - YYYY-MM-DD
+         * @returns {string} Error message, or '' when bookable
+         */
+        function getDateError(isoDate) {
+            if (!isoDate) return '';
+
+            const activityIds = getSelectedActivities().map(activity => activity.id);
+            const availability = getDateAvailability(isoDate, schedule, activityIds);
+            if (availability.available) return '';
+
+            const activity = catalogue.find(item => item.id === availability.activityId);
+            let message = t(`booking.date.${availability.reason}`, {
+                activity: activity ? catalogueText(activity, 'title') : ''
+            });
+
+            const nextDate = findNextAvailableDate(isoDate, schedule, activityIds);
+            if (nextDate && availability.reason !== 'past') {
+                message += ' ' + t('booking.date.nextAvailable', { date: formatDate(nextDate) });
+            }
+
+            return message;
+        }
+
+        /**
+         * Validation rule for the promo code: well formed, typo-free and valid for this booking.
+         * Without the rule table only the format and check character are tested.
+         * @param {string} code
+         * @returns {string} Error message, or '' when usable
+         */
+        function getVoucherError(code) {
+            if (!code) return '';
+
+            const voucher = evaluateVoucher();
+            if (!voucher || voucher.valid || (!voucherRules && voucher.reason === 'unknown')) return '';
+
+            const { from, to, min } = voucher.params;
+            return t(`booking.voucher.${voucher.reason}`, {
+                from: from && formatDate(from),
+                to: to && formatDate(to),
+                min
+            });
+        }
+
+        /**
+         * Re-check the promo code against the booking and confirm it when it applies
+         */
+        function updateVoucher() {
+            voucherNote.textContent = '';
+            voucherNote.classList.remove('success');
+            updateEstimate();
+            if (!voucherInput.value.trim() || !validator.validateField(voucherInput)) return;
+
+            const voucher = evaluateVoucher();
+            if (!voucher || !voucher.valid) {
+                voucherNote.textContent = t('booking.voucher.unverified');
+                return;
+            }
+
+            voucherNote.textContent = voucher.rule.type === 'percent'
+                ? t('booking.voucher.appliedPercent', { percent: voucher.rule.amount })
+                : t('booking.voucher.appliedFixed', { amount: formatPrice(voucher.rule.amount) });
+            voucherNote.classList.add('success');
+        }
+
+        /**
+         * Re-check the chosen date against the schedule and confirm it when bookable
+         */
+        function updateDateAvailability() {
+            dateNote.textContent = '';
+            if (!dateInput.value) return;
+
+            if (validator.validateField(dateInput)) {
+                dateNote.textContent = t('booking.date.available');
+            }
+        }
+
+        function addReviewRow(labelKey, value) {
+            if (!value) return;
+
+            const term = document.createElement('dt');
+            term.textContent = t(labelKey);
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            review.append(term, detail);
+        }
+
+        function renderReview() {
+            const selected = getSelectedActivities();
+            const estimate = calculateEstimate(selected, getGuests());
+
+            review.replaceChildren();
+            addReviewRow('booking.steps.activities', selected.map(activity => catalogueText(activity, 'title')).join(', '));
+            addReviewRow('booking.field.date', dateInput.value && formatDate(dateInput.value));
+            addReviewRow('booking.field.guests', String(getGuests()));
+            const discount = getVoucherDiscount();
+            if (selected.length) {
+                addReviewRow('booking.estimate.perPerson', formatPrice(estimate.perPerson));
+                if (discount) addReviewRow('booking.estimate.discount', `−${formatPrice(discount)}`);
+                addReviewRow('booking.estimate.total', formatPrice(estimate.total - discount));
+            }
+            addReviewRow('booking.field.voucher', evaluateVoucher()?.code);
+            addReviewRow('booking.field.name', form.elements.name.value.trim());
+            addReviewRow('booking.field.email', form.elements.email.value.trim());
+            addReviewRow('booking.field.phone', form.elements.phone.value.trim());
+            addReviewRow('booking.field.message', form.elements.message.value.trim());
+        }
+
+        /**
+         * Validate the fields of a step, reporting the first problem
+         * @param {number} index - Step index
+         * @returns {boolean}
+         */
+        function validateStep(index) {
+            if (index === 0) {
+                if (catalogue.length && !getSelectedActivities().length) {
+                    activitiesNote.textContent = t('booking.error.noActivity');
+                    activitiesNote.classList.add('error');
+                    return false;
+                }
+                return true;
             }
 
-            // Headline lines
-            headlineLines.forEach((line, index) => {
-                setTimeout(() => {
-                    line.style.transition = 'opacity 0.7s ease, transform 0.7s ease';
-                    line.style.opacity = '1';
-                    line.style.transform = 'translateY(0)';
-                }, 300 + (index * 80));
+            return validator.validate(steps[index]);
+        }
+
+        /**
+         * Validate every step, stopping on the first one with a problem
+         * @returns {boolean}
+         */
+        function validateAll() {
+            const invalidStep = steps.findIndex((step, index) => !validateStep(index));
+            if (invalidStep === -1) return true;
+
+            // Run again once the step is visible so focus can land on the field
+            showStep(invalidStep);
+            validateStep(invalidStep);
+            return false;
+        }
+
+        /**
+         * Jump to the step holding a field and focus it
+         * @param {HTMLElement} field
+         */
+        function revealField(field) {
+            const index = steps.findIndex(step => step.contains(field));
+            if (index !== -1) showStep(index);
+            field.focus();
+        }
+
+        /**
+         * Show a step and sync the progress indicator and buttons
+         * @param {number} index - Step index
+         * @param {boolean} [moveFocus=false] - Focus the step's first field
+         */
+        function showStep(index, moveFocus = false) {
+            currentStep = Math.max(0, Math.min(index, steps.length - 1));
+            const isLast = currentStep === steps.length - 1;
+
+            steps.forEach((step, i) => {
+                step.hidden = i !== currentStep;
+            });
+
+            indicators.forEach((indicator, i) => {
+                indicator.classList.toggle('active', i === currentStep);
+                indicator.classList.toggle('complete', i < currentStep);
+                if (i === currentStep) {
+                    indicator.setAttribute('aria-current', 'step');
+                } else {
+                    indicator.removeAttribute('aria-current');
+                }
             });
 
-            // Subheadline
-            if (heroSubheadline) {
-                setTimeout(() => {
-                    heroSubheadline.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-                    heroSubheadline.style.opacity = '1';
-                    heroSubheadline.style.transform = 'translateY(0)';
-                }, 600);
+            backBtn.hidden = currentStep === 0;
+            nextBtn.hidden = isLast;
+            submitBtn.hidden = !isLast;
+
+            if (isLast) renderReview();
+
+            if (moveFocus) {
+                const focusTarget = steps[currentStep].querySelector('input, select, textarea') || (isLast ? submitBtn : nextBtn);
+                focusTarget.focus();
             }
+        }
+
+        function next() {
+            if (!validateStep(currentStep)) return;
+            showStep(currentStep + 1, true);
+            track('booking_step', { step: currentStep });
+        }
+
+        /**
+         * Add the wizard's derived fields to the outgoing submission
+         * @param {FormData} data
+         */
+        function appendSummary(data) {
+            const selected = getSelectedActivities();
+            const estimate = calculateEstimate(selected, getGuests());
+            const voucher = evaluateVoucher();
+            const discount = getVoucherDiscount();
 
-            // CTAs
-            if (heroCtAs) {
-                setTimeout(() => {
-                    heroCtAs.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-                    heroCtAs.style.opacity = '1';
-                    heroCtAs.style.transform = 'translateY(0)';
-                }, 750);
+            data.delete('activities');
+            data.set('activities', selected.map(activity => activity.title).join(', '));
+            // The team quotes in rupees whatever currency the visitor browsed in
+            data.set('estimate_per_person', formatPrice(estimate.perPerson, LANG_LOCALES[DEFAULT_LANG], BASE_CURRENCY));
+            data.set('estimate_total', formatPrice(estimate.total - discount, LANG_LOCALES[DEFAULT_LANG], BASE_CURRENCY));
+
+            // Sent tidied, with the discount it gave; the team checks the code before confirming
+            data.delete('voucher');
+            if (voucher) {
+                data.set('voucher', voucher.code);
+                data.set('voucher_discount', voucher.valid
+                    ? formatPrice(discount, LANG_LOCALES[DEFAULT_LANG], BASE_CURRENCY)
+                    : 'Not checked (offers unavailable)');
             }
+            data.set('currency', currentCurrency);
+            data.set('language', currentLang);
+        }
+
+        // Wiring
+        // A promo code can stop applying when the activities, group or date change
+        optionsContainer.addEventListener('change', () => {
+            activitiesNote.textContent = '';
+            activitiesNote.classList.remove('error');
+            updateVoucher();
+            updateDateAvailability();
+        });
+
+        guestsInput.addEventListener('input', updateVoucher);
+        dateInput.addEventListener('change', () => {
+            updateDateAvailability();
+            updateVoucher();
+        });
+        voucherInput.addEventListener('input', () => {
+            voucherNote.textContent = '';
+            voucherNote.classList.remove('success');
+            updateEstimate();
+        });
+        voucherInput.addEventListener('change', () => {
+            const voucher = evaluateVoucher();
+            if (voucher && voucher.reason !== 'format') voucherInput.value = voucher.code;
+            updateVoucher();
+            if (voucher) track('voucher_apply', { outcome: voucher.valid ? 'applied' : voucher.reason });
+        });
+        nextBtn.addEventListener('click', next);
+        backBtn.addEventListener('click', () => showStep(currentStep - 1, true));
 
-            // Info bar
-            if (heroInfoBar) {
-                setTimeout(() => {
-                    heroInfoBar.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-                    heroInfoBar.style.opacity = '1';
-                    heroInfoBar.style.transform = 'translateY(0)';
-                }, 900);
+        validator.addRule('date', getDateError);
+        validator.addRule('voucher', getVoucherError);
+
+        // "Book" buttons on activity cards and detail views
+        document.addEventListener('booking:preselect', event => {
+            ready.then(() => {
+                optionsContainer.querySelectorAll('input[name="activities"]').forEach(input => {
+                    if (event.detail.activityIds.includes(input.value)) input.checked = true;
+                });
+                optionsContainer.dispatchEvent(new Event('change', { bubbles: true }));
+                showStep(0);
+            });
+        });
+
+        // form.reset() runs before the fields are cleared, so resync on the next tick
+        form.addEventListener('reset', () => {
+            setTimeout(() => {
+                validator.clearErrors();
+                updateVoucher();
+                updateDateAvailability();
+                showStep(0);
+            });
+        });
+
+        document.addEventListener('i18n:change', () => {
+            updateVoucher();
+            updateDateAvailability();
+            if (currentStep === steps.length - 1) renderReview();
+        });
+
+        document.addEventListener('currency:change', () => {
+            updateVoucher();
+            if (currentStep === steps.length - 1) renderReview();
+        });
+
+        dateInput.min = toISODate(new Date());
+        showStep(0);
+
+        const ready = Promise.all([
+            loadCatalogue().catch(() => ({ activities: [], packages: [] })),
+            fetchJSON(BOOKING_SCHEDULE_URL).catch(() => null),
+            fetchJSON(BOOKING_VOUCHERS_URL).catch(() => null)
+        ]).then(([bookingCatalogue, bookingSchedule, bookingVouchers]) => {
+            catalogue = [...bookingCatalogue.activities, ...bookingCatalogue.packages].filter(entry => entry.bookable);
+            schedule = bookingSchedule;
+            voucherRules = bookingVouchers && bookingVouchers.vouchers;
+            renderActivityOptions();
+
+            if (!catalogue.length) {
+                activitiesNote.textContent = t('booking.error.catalogueUnavailable');
             }
         });
-    }
 
-    // Run hero animation on load
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', animateHeroEntrance);
-    } else {
-        animateHeroEntrance();
+        return {
+            ready,
+            getStep: () => currentStep,
+            isLastStep: () => currentStep === steps.length - 1,
+            next,
+            validateAll,
+            revealField,
+            appendSummary
+        };
     }
 
     // ============================================
-    // ACTIVITY SECTION ANIMATIONS
+    // BOOKING BACKENDS
     // ============================================
 
+    const SITE_CONFIG_URL = 'data/site.json';
+
+    // Labels for hand-off messages (WhatsApp / email) read by the camp team
+    const BOOKING_FIELD_LABELS = {
+        activities: 'Activities',
+        date: 'Preferred date',
+        guests: 'Guests',
+        estimate_per_person: 'Estimate per person',
+        estimate_total: 'Estimated total',
+        currency: 'Currency shown',
+        voucher: 'Promo / voucher code',
+        voucher_discount: 'Voucher discount',
+        name: 'Name',
+        email: 'Email',
+        phone: 'Phone / WhatsApp',
+        message: 'Message',
+        language: 'Language',
+        // Review form
+        form_type: 'Form',
+        origin: 'From',
+        activity: 'Activity',
+        rating: 'Rating',
+        review: 'Review'
+    };
+
+    let siteConfigPromise = null;
+
     /**
-     * Initialize scroll-triggered animations for activity sections
+     * Fetch (once) the site config from data/site.json
+     * @returns {Promise<Object>}
      */
-    function initActivityAnimations() {
-        if (prefersReducedMotion()) return;
-
-        const activitySections = document.querySelectorAll('.activity-section');
+    function loadSiteConfig() {
+        if (!siteConfigPromise) {
+            siteConfigPromise = fetchJSON(SITE_CONFIG_URL).catch(error => {
+                // Allow a retry on the next call, e.g. once back online
+                siteConfigPromise = null;
+                throw error;
+            });
+        }
+        return siteConfigPromise;
+    }
 
-        const activityObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const section = entry.target;
-                    const headline = section.querySelector('.activity-headline');
-                    const caption = section.querySelector('.activity-caption');
-                    const cta = section.querySelector('.activity-cta');
-                    const bg = section.querySelector('.activity-bg img');
-
-                    // Animate elements
-                    if (headline) {
-                        headline.style.opacity = '0';
-                        headline.style.transform = 'translateY(60px)';
-                        setTimeout(() => {
-                            headline.style.transition = 'opacity 0.8s ease, transform 0.8s ease';
-                            headline.style.opacity = '1';
-                            headline.style.transform = 'translateY(0)';
-                        }, 100);
-                    }
+    /**
+     * Bring the different error shapes backends return into [{field?, message}]
+     * @param {*} body - Parsed response body
+     * @returns {Array<{field?: string, message: string}>}
+     */
+    function normalizeErrors(body) {
+        if (!body) return [];
 
-                    if (caption) {
-                        caption.style.opacity = '0';
-                        caption.style.transform = 'translateX(-30px)';
-                        setTimeout(() => {
-                            caption.style.transition = 'opacity 0.7s ease, transform 0.7s ease';
-                            caption.style.opacity = '1';
-                            caption.style.transform = 'translateX(0)';
-                        }, 300);
-                    }
+        const errors = body.errors;
+        if (Array.isArray(errors)) {
+            return errors.map(error => (typeof error === 'string' ? { message: error } : { field: error.field, message: error.message }));
+        }
+        if (errors && typeof errors === 'object') {
+            return Object.entries(errors).map(([field, message]) => ({ field, message: String(message) }));
+        }
+        return body.message ? [{ message: body.message }] : [];
+    }
 
-                    if (cta) {
-                        cta.style.opacity = '0';
-                        cta.style.transform = 'translateX(30px)';
-                        setTimeout(() => {
-                            cta.style.transition = 'opacity 0.7s ease, transform 0.7s ease';
-                            cta.style.opacity = '1';
-                            cta.style.transform = 'translateX(0)';
-                        }, 400);
-                    }
+    /**
+     * Turn an HTTP response into the common result shape
+     * @param {Response} response
+     * @returns {Promise<{ok: boolean, errors: Array}>}
+     */
+    async function toBookingResult(response) {
+        if (response.ok) return { ok: true, errors: [] };
 
-                    if (bg) {
-                        bg.style.transform = 'scale(1.12)';
-                        setTimeout(() => {
-                            bg.style.transition = 'transform 1.2s ease';
-                            bg.style.transform = 'scale(1.08)';
-                        }, 50);
-                    }
+        const body = await response.json().catch(() => null);
+        return { ok: false, errors: normalizeErrors(body) };
+    }
 
-                    activityObserver.unobserve(section);
-                }
-            });
-        }, {
-            root: null,
-            rootMargin: '-20% 0px -20% 0px',
-            threshold: 0.3
-        });
+    /**
+     * Plain-text summary of a booking for hand-off backends
+     * @param {Array<[string, string]>} fields
+     * @returns {string}
+     */
+    function formatBookingText(fields) {
+        return fields
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${BOOKING_FIELD_LABELS[name] || name}: ${value}`)
+            .join('\n');
+    }
 
-        activitySections.forEach(section => {
-            activityObserver.observe(section);
+    /**
+     * fetch() for the backends. A request that never reached the server rejects
+     * with a TypeError; mark it so it can be told apart from a bug in our own code.
+     * @param {string} url
+     * @param {Object} options
+     * @returns {Promise<Response>}
+     */
+    function sendBookingRequest(url, options) {
+        return fetch(url, options).catch(error => {
+            error.network = true;
+            throw error;
         });
     }
 
-    // Initialize activity animations
-    initActivityAnimations();
-
-    // ============================================
-    // TRANSITION SECTION ANIMATION
-    // ============================================
+    /**
+     * Whether a failed send should wait in the offline queue rather than be reported
+     * @param {*} error
+     * @returns {boolean}
+     */
+    function isNetworkError(error) {
+        return !navigator.onLine || (error instanceof TypeError && error.network === true);
+    }
 
     /**
-     * Initialize animation for transition section
+     * Submission adapters. Each takes the booking fields and its own config block and resolves
+     * to {ok, errors, statusKey?}. Network failures reject so the offline queue can retry them.
+     * Backends marked `background` send without leaving the page, so the queue may retry them
+     * unprompted; the others hand off to another app and wait for the guest.
      */
-    function initTransitionAnimation() {
-        if (prefersReducedMotion()) return;
+    const bookingBackends = {
+        formspree: {
+            background: true,
 
-        const transitionSection = document.querySelector('.transition-section');
-        if (!transitionSection) return;
+            async send(fields, config) {
+                const data = new FormData();
+                fields.forEach(([name, value]) => data.append(name, value));
 
-        const transitionObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const headline = transitionSection.querySelector('.transition-headline');
-                    const label = transitionSection.querySelector('.transition-label');
-
-                    if (headline) {
-                        headline.style.opacity = '0';
-                        headline.style.transform = 'translateY(40px)';
-                        setTimeout(() => {
-                            headline.style.transition = 'opacity 0.9s ease, transform 0.9s ease';
-                            headline.style.opacity = '1';
-                            headline.style.transform = 'translateY(0)';
-                        }, 100);
+                const response = await sendBookingRequest(config.endpoint, {
+                    method: 'POST',
+                    body: data,
+                    headers: {
+                        'Accept': 'application/json'
                     }
+                });
+                return toBookingResult(response);
+            }
+        },
+
+        json: {
+            background: true,
 
-                    if (label) {
-                        label.style.opacity = '0';
-                        setTimeout(() => {
-                            label.style.transition = 'opacity 0.6s ease';
-                            label.style.opacity = '1';
-                        }, 500);
+            async send(fields, config) {
+                const response = await sendBookingRequest(config.endpoint, {
+                    method: 'POST',
+                    body: JSON.stringify(Object.fromEntries(fields)),
+                    headers: {
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json',
+                        ...config.headers
                     }
+                });
+                return toBookingResult(response);
+            }
+        },
 
-                    transitionObserver.unobserve(transitionSection);
+        whatsapp: {
+            async send(fields, config) {
+                // wa.me needs the full international number; an empty or placeholder one (+94 7X ...) would open a dead chat
+                const number = String(config.number || '').replace(/[\s()+-]/g, '');
+                if (!/^\d{8,15}$/.test(number)) {
+                    console.error('No WhatsApp number configured for the "whatsapp" booking backend');
+                    return { ok: false, errors: [] };
                 }
-            });
-        }, {
-            root: null,
-            rootMargin: '-10% 0px -10% 0px',
-            threshold: 0.4
-        });
 
-        transitionObserver.observe(transitionSection);
+                const text = `${config.greeting || ''}\n\n${formatBookingText(fields)}`.trim();
+                window.location.href = `https://wa.me/${number}?text=${encodeURIComponent(text)}`;
+                return { ok: true, errors: [], statusKey: 'booking.status.whatsapp' };
+            }
+        },
+
+        mailto: {
+            async send(fields, config) {
+                const subject = encodeURIComponent(config.subject || 'Booking request');
+                const body = encodeURIComponent(formatBookingText(fields));
+                window.location.href = `mailto:${config.address}?subject=${subject}&body=${body}`;
+                return { ok: true, errors: [], statusKey: 'booking.status.mailto' };
+            }
+        }
+    };
+
+    /**
+     * Send a booking through the backend chosen in the site config
+     * @param {Array<[string, string]>} fields - Name/value pairs
+     * @returns {Promise<{ok: boolean, errors: Array, statusKey?: string}>}
+     */
+    async function submitBooking(fields) {
+        const { booking } = await loadSiteConfig();
+        const backend = bookingBackends[booking.backend];
+
+        if (!backend) {
+            console.error(`Unknown booking backend "${booking.backend}"`);
+            return { ok: false, errors: [] };
+        }
+
+        return backend.send(fields, booking[booking.backend] || {});
     }
 
-    // Initialize transition animation
-    initTransitionAnimation();
+    /**
+     * Whether the configured backend sends in the background (see bookingBackends)
+     * @returns {Promise<boolean>}
+     */
+    function sendsInBackground() {
+        return loadSiteConfig()
+            .then(({ booking }) => Boolean(bookingBackends[booking.backend]?.background))
+            .catch(() => false);
+    }
 
     // ============================================
-    // CARD HOVER EFFECTS (Desktop only)
+    // OFFLINE BOOKING QUEUE & DRAFTS
     // ============================================
 
+    const BOOKING_QUEUE_KEY = 'uac-booking-queue';
+    const BOOKING_DRAFT_KEY = 'uac-booking-draft';
+    const RETRY_BASE_DELAY = 5000;
+    const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
     /**
-     * Add enhanced hover effects for experience cards
+     * Hold bookings that failed to send and retry them with exponential backoff.
+     * The queue lives in localStorage so it survives reloads and page changes.
+     * WhatsApp and email hand-offs open another app, so those are never retried
+     * unprompted: the guest gets a "Send now" button instead.
+     * @param {HTMLElement} status - #form-status element for progress messages
+     * @param {HTMLButtonElement} [sendButton] - Sends the queue on request
+     * @returns {{add: Function, flush: Function}}
      */
-    function initCardHoverEffects() {
-        if (isTouchDevice()) return;
+    function createBookingQueue(status, sendButton) {
+        let retryTimer = null;
+        let flushing = false;
 
-        const cards = document.querySelectorAll('.experience-card');
+        const getQueue = () => readStorage(BOOKING_QUEUE_KEY, []);
+        const saveQueue = queue => writeStorage(BOOKING_QUEUE_KEY, queue);
 
-        cards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
-                card.style.transform = 'translateY(-8px) scale(1.02)';
-            });
+        function showStatus(key, type, params) {
+            status.textContent = t(key, params);
+            status.className = `form-status ${type}`;
+        }
 
-            card.addEventListener('mouseleave', () => {
-                card.style.transform = '';
+        // Only background backends can promise to send by themselves
+        function showSaved() {
+            sendsInBackground().then(background => {
+                showStatus(background ? 'booking.queue.saved' : 'booking.queue.savedManual', 'queued');
             });
-        });
-    }
+        }
 
-    // Initialize card hover effects
-    initCardHoverEffects();
+        function showSendButton(show) {
+            if (sendButton) sendButton.hidden = !show;
+        }
 
-    // ============================================
-    // LAZY LOADING FOR IMAGES
-    // ============================================
+        function scheduleRetry() {
+            clearTimeout(retryTimer);
 
-    /**
-     * Initialize lazy loading for images
-     */
-    function initLazyLoading() {
-        const lazyImages = document.querySelectorAll('img[loading="lazy"]');
+            const queue = getQueue();
+            showSendButton(false);
+            if (!queue.length) return;
+
+            const nextAttempt = Math.min(...queue.map(entry => entry.nextAttemptAt));
+            retryTimer = setTimeout(flush, Math.max(0, nextAttempt - Date.now()));
+        }
 
-        if ('loading' in HTMLImageElement.prototype) {
-            // Browser supports native lazy loading
-            lazyImages.forEach(img => {
-                img.src = img.dataset.src || img.src;
+        /**
+         * Save a booking that could not be sent
+         * @param {Array<[string, string]>} fields - Name/value pairs
+         */
+        function add(fields) {
+            const queue = getQueue();
+            queue.push({
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                fields,
+                attempts: 0,
+                nextAttemptAt: Date.now() + RETRY_BASE_DELAY
             });
-        } else {
-            // Fallback for older browsers
-            const imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        const img = entry.target;
-                        img.src = img.dataset.src || img.src;
-                        imageObserver.unobserve(img);
+            saveQueue(queue);
+
+            showSaved();
+            scheduleRetry();
+        }
+
+        /**
+         * Try every due entry once; failures are pushed back with a longer delay
+         * @param {boolean} [force=false] - Ignore backoff (e.g. the browser just came online)
+         * @param {boolean} [prompted=false] - The guest asked to send, so hand-off backends may run
+         */
+        async function flush(force = false, prompted = false) {
+            if (flushing || !navigator.onLine || !getQueue().length) return;
+            flushing = true;
+
+            const background = await sendsInBackground();
+            if (!background && !prompted) {
+                flushing = false;
+                showStatus('booking.queue.ready', 'queued', { count: getQueue().length });
+                showSendButton(true);
+                return;
+            }
+
+            const now = Date.now();
+            const snapshot = getQueue();
+            const remaining = [];
+            // A hand-off leaves the page, so only one can go per press
+            let handedOff = false;
+
+            for (const entry of snapshot) {
+                if (handedOff || (!force && entry.nextAttemptAt > now)) {
+                    remaining.push(entry);
+                    continue;
+                }
+
+                try {
+                    const result = await submitBooking(entry.fields);
+                    // Either sent or rejected by the server; retrying will not help
+                    showStatus(result.statusKey || (result.ok ? 'booking.queue.sent' : 'booking.queue.rejected'), result.ok ? 'success' : 'error');
+                    handedOff = !background;
+                } catch (error) {
+                    if (!isNetworkError(error)) {
+                        console.error('Saved booking could not be sent:', error);
+                        showStatus('booking.queue.rejected', 'error');
+                        continue;
                     }
-                });
-            }, {
-                rootMargin: '50px 0px'
-            });
+                    entry.attempts += 1;
+                    entry.nextAttemptAt = Date.now() + Math.min(RETRY_BASE_DELAY * 2 ** entry.attempts, RETRY_MAX_DELAY);
+                    remaining.push(entry);
+                }
+            }
 
-            lazyImages.forEach(img => {
-                imageObserver.observe(img);
-            });
+            // Keep anything queued (e.g. by another tab) while we were sending
+            const added = getQueue().filter(entry => !snapshot.some(existing => existing.id === entry.id));
+            saveQueue(remaining.concat(added));
+            flushing = false;
+
+            if (!background) {
+                // Keep the button for anything still waiting after this hand-off
+                showSendButton(remaining.length > 0);
+                return;
+            }
+            if (remaining.length) {
+                showStatus('booking.queue.waiting', 'queued', { count: remaining.length });
+            }
+            scheduleRetry();
         }
-    }
 
-    // Initialize lazy loading
-    initLazyLoading();
+        window.addEventListener('online', () => flush(true));
+        window.addEventListener('offline', () => {
+            showSendButton(false);
+            if (getQueue().length) showSaved();
+        });
+        sendButton?.addEventListener('click', () => flush(true, true));
 
-    // ============================================
-    // PERFORMANCE OPTIMIZATION
-    // ============================================
+        if (getQueue().length && !navigator.onLine) {
+            showSaved();
+        } else if (getQueue().length) {
+            showStatus('booking.queue.waiting', 'queued', { count: getQueue().length });
+            flush(true);
+        }
+
+        return { add, flush };
+    }
 
     /**
-     * Cleanup function for page unload
+     * Keep an unsent copy of the booking form in localStorage and restore it on reload
+     * @param {HTMLFormElement} form
+     * @param {Promise} ready - Resolves once the activity checkboxes are rendered
+     * @returns {{clear: Function}}
      */
-    function cleanup() {
-        // Remove event listeners if needed
-        window.removeEventListener('scroll', throttledHeaderScroll);
-    }
+    function initBookingDraft(form, ready) {
+        function save() {
+            const draft = {};
+            Array.from(form.elements).forEach(field => {
+                if (!field.name || field.type === 'submit' || field.type === 'button') return;
 
-    // Cleanup on page unload
-    window.addEventListener('beforeunload', cleanup);
+                if (field.type === 'checkbox') {
+                    if (!draft[field.name]) draft[field.name] = [];
+                    if (field.checked) draft[field.name].push(field.value);
+                } else {
+                    draft[field.name] = field.value;
+                }
+            });
+            writeStorage(BOOKING_DRAFT_KEY, draft);
+        }
 
-    // ============================================
-    // CONSOLE WELCOME MESSAGE
-    // ============================================
+        function restore() {
+            const draft = readStorage(BOOKING_DRAFT_KEY, null);
+            if (!draft) return;
 
-    // ============================================
-    // GLOBAL COMPONENTS LOADER
-    // ============================================
+            Array.from(form.elements).forEach(field => {
+                if (!field.name || !(field.name in draft) || field.type === 'submit' || field.type === 'button') return;
+
+                if (field.type === 'checkbox') {
+                    field.checked = draft[field.name].includes(field.value);
+                } else {
+                    field.value = draft[field.name];
+                }
+            });
+
+            // Let the wizard recompute its estimate and availability
+            form.querySelectorAll('input[type="checkbox"]')[0]?.dispatchEvent(new Event('change', { bubbles: true }));
+            form.elements.guests?.dispatchEvent(new Event('input', { bubbles: true }));
+        }
 
+        const debouncedSave = debounce(save, 400);
 
+        ready.then(() => {
+            restore();
+            form.addEventListener('input', debouncedSave);
+            form.addEventListener('change', debouncedSave);
+        });
+
+        return {
+            clear: () => {
+                // Drop a save that is still waiting, or it would write the draft back
+                debouncedSave.cancel();
+                removeStorage(BOOKING_DRAFT_KEY);
+            }
+        };
+    }
 
     // ============================================
     // BOOKING FORM HANDLING
     // ============================================
 
     /**
-     * Handle booking form submission via AJAX
+     * Handle booking form submission through the configured backend
      */
     function initBookingForm() {
         const form = document.getElementById('booking-form');
@@ -648,54 +5514,99 @@
 
         if (!form) return;
 
+        const validator = createFormValidator(form, {
+            date: [validators.required()],
+            guests: [validators.required(), validators.range(1, 40)],
+            name: [validators.required(), validators.maxLength(100)],
+            email: [validators.required(), validators.email()],
+            phone: [validators.phone()],
+            message: [validators.maxLength(1000)]
+        });
+        const wizard = initBookingWizard(form, validator);
+        const queue = createBookingQueue(status, form.querySelector('[data-queue-send]'));
+        const draft = initBookingDraft(form, wizard.ready);
+        // For the drop-off funnel: started, but left before a successful send
+        let started = false;
+
         async function handleSubmit(event) {
             event.preventDefault();
+
+            // Enter on an earlier step moves forward instead of sending
+            if (!wizard.isLastStep()) {
+                wizard.next();
+                return;
+            }
+
+            if (!wizard.validateAll()) return;
+
             const data = new FormData(event.target);
+            wizard.appendSummary(data);
+            const fields = Array.from(data.entries());
 
             // Disable button
             const btn = form.querySelector('button[type="submit"]');
-            const originalText = btn.innerText;
+            const originalContent = Array.from(btn.childNodes);
             btn.disabled = true;
-            btn.innerText = 'Sending...';
-            status.innerHTML = '';
+            btn.textContent = t('booking.status.sending');
+            status.textContent = '';
             status.className = 'form-status';
 
             try {
-                const response = await fetch(event.target.action, {
-                    method: form.method,
-                    body: data,
-                    headers: {
-                        'Accept': 'application/json'
-                    }
-                });
+                const result = await submitBooking(fields);
+                track('booking_submit', { outcome: result.ok ? 'sent' : 'rejected' });
 
-                if (response.ok) {
-                    status.innerHTML = "Thanks for your booking request! We'll be in touch shortly.";
+                if (result.ok) {
+                    status.textContent = t(result.statusKey || 'booking.status.success');
                     status.classList.add('success');
+                    started = false;
+                    draft.clear();
                     form.reset();
                 } else {
-                    const jsonData = await response.json();
-                    if (Object.hasOwn(jsonData, 'errors')) {
-                        status.innerHTML = jsonData.errors.map(error => error.message).join(", ");
+                    if (result.errors.length) {
+                        // Field errors go inline; anything unmatched is shown in the status line
+                        const { fields: invalidFields, unmatched } = validator.applyServerErrors(result.errors);
+                        if (invalidFields.length) wizard.revealField(invalidFields[0]);
+                        status.textContent = unmatched.length ? unmatched.join(' ') : t('booking.status.fieldErrors');
                     } else {
-                        status.innerHTML = "Oops! There was a problem submitting your form. Please try again or contact us via WhatsApp.";
+                        status.textContent = t('booking.status.error');
                     }
                     status.classList.add('error');
                 }
             } catch (error) {
-                status.innerHTML = "Oops! There was a problem submitting your form. Please check your internet connection and try again.";
-                status.classList.add('error');
+                if (!isNetworkError(error)) {
+                    // Not a connection problem, so a retry would fail the same way; keep the form
+                    console.error('Booking could not be sent:', error);
+                    track('booking_submit', { outcome: 'error' });
+                    status.textContent = t('booking.status.error');
+                    status.classList.add('error');
+                    return;
+                }
+
+                // Network failure: keep the request and send it when the connection returns
+                track('booking_submit', { outcome: 'queued' });
+                started = false;
+                queue.add(fields);
+                draft.clear();
+                form.reset();
             } finally {
                 btn.disabled = false;
-                btn.innerText = originalText;
+                // Restore the label nodes so data-i18n spans survive for later switches
+                btn.replaceChildren(...originalContent);
             }
         }
 
         form.addEventListener('submit', handleSubmit);
-    }
 
-    // Initialize booking form
-    initBookingForm();
+        // Ignore the synthetic events a restored draft fires
+        form.addEventListener('input', event => {
+            if (started || !event.isTrusted) return;
+            started = true;
+            track('booking_start');
+        });
+        window.addEventListener('pagehide', () => {
+            if (started) track('booking_abandon', { step: wizard.getStep() });
+        });
+    }
 
     console.log('%c Udawalawe Adventure Camping ', 'background: #D9A24A; color: #0B0F0D; font-size: 14px; font-weight: bold; padding: 8px 16px; border-radius: 4px;');
     console.log('%c Wilderness. Wonder. You. ', 'color: #D9A24A; font-size: 12px;');
@@ -0,0 +1,286 @@
+/**
+ * Responsive image builder and reference checker.
+ *
+ * Usage:
+ *   node scripts/build-images.js           Check references, then build variants and data/images.json
+ *   node scripts/build-images.js --check   Only report references to missing images
+ *
+ * Variants and blurred placeholders need sharp (npm install --no-save sharp).
+ * Without it the manifest still records every image's size, which the site
+ * uses to reserve space while images load.
+ *
+ * The variants are build output: run this as a deploy step and commit only
+ * data/images.json (images/optimized/ is git-ignored). Where a variant is
+ * missing, such as in a plain checkout, pages load the original image.
+ *
+ * Each image in images/ gets AVIF, WebP and original-format copies at the
+ * widths below (never wider than the source) in images/optimized/. The
+ * runtime in script.js builds srcset/sizes from data/images.json.
+ *
+ * The square app icons in images/icons/ (listed in manifest.webmanifest) are
+ * cut from the logo here too, as plain and maskable PNGs.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const IMAGES_DIR = path.join(ROOT, 'images');
+const OUTPUT_DIR = path.join(IMAGES_DIR, 'optimized');
+const MANIFEST_PATH = path.join(ROOT, 'data', 'images.json');
+
+const WIDTHS = [480, 960, 1600];
+const MODERN_FORMATS = ['avif', 'webp'];
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const ICON_SOURCE = path.join(IMAGES_DIR, 'logo.jpg');
+const ICONS_DIR = path.join(IMAGES_DIR, 'icons');
+const ICON_SIZES = [192, 512];
+const ICON_SCALE = 0.94;
+// Maskable icons keep the logo inside the 80% safe zone launchers never crop
+const MASKABLE_SCALE = 0.72;
+// Emblem and name inside logo.jpg, with a margin that is faded into the background
+const ICON_CONTENT = { left: 230, top: 90, width: 820, height: 560 };
+
+// Files that may reference images; images/ and tooling are skipped
+const SCANNED_EXTENSIONS = ['.html', '.css', '.js', '.json'];
+const SKIPPED_DIRS = ['.git', 'node_modules', 'images', 'scripts'];
+const REFERENCE_PATTERN = /images\/[^\s"'()<>,]+?\.(?:jpe?g|png|webp|avif|gif|svg)/gi;
+
+/**
+ * Try to load sharp without making it a hard dependency
+ * @returns {Object|null}
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Recursively list files under a directory
+ * @param {string} dir
+ * @returns {string[]} Absolute paths
+ */
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRS.includes(entry.name) ? [] : walk(full);
+        return [full];
+    });
+}
+
+/**
+ * Find every images/... reference in the site's pages, styles and data
+ * @returns {Array<{file: string, line: number, ref: string}>}
+ */
+function findReferences() {
+    const references = [];
+
+    walk(ROOT)
+        .filter(file => SCANNED_EXTENSIONS.includes(path.extname(file)) && file !== MANIFEST_PATH)
+        .forEach(file => {
+            fs.readFileSync(file, 'utf8').split('\n').forEach((text, index) => {
+                (text.match(REFERENCE_PATTERN) || []).forEach(ref => {
+                    references.push({ file: path.relative(ROOT, file), line: index + 1, ref });
+                });
+            });
+        });
+
+    return references;
+}
+
+/**
+ * Suggest an existing file with the same name but another extension
+ * @param {string} ref - e.g. images/activity_kayaking.jpg
+ * @returns {string|null}
+ */
+function suggestExisting(ref) {
+    const stem = path.basename(ref, path.extname(ref));
+    const match = fs.readdirSync(IMAGES_DIR).find(name => path.basename(name, path.extname(name)) === stem);
+    return match ? `images/${match}` : null;
+}
+
+/**
+ * Print references to files that are not in images/
+ * @returns {number} Number of broken references
+ */
+function checkReferences() {
+    const broken = findReferences().filter(({ ref }) => !fs.existsSync(path.join(ROOT, ref)));
+
+    broken.forEach(({ file, line, ref }) => {
+        const suggestion = suggestExisting(ref);
+        console.log(`${file}:${line}  missing ${ref}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+    });
+
+    console.log(broken.length ? `${broken.length} broken image reference(s)` : 'All image references resolve');
+    return broken.length;
+}
+
+/**
+ * Read width and height from a PNG or JPEG header, for when sharp is not installed
+ * @param {string} file
+ * @returns {{width: number, height: number}|null}
+ */
+function readDimensions(file) {
+    const buffer = fs.readFileSync(file);
+
+    // PNG: IHDR width/height follow the 8-byte signature and chunk header
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // JPEG: walk the segments until a start-of-frame marker
+    if (buffer.readUInt16BE(0) === 0xffd8) {
+        let offset = 2;
+        while (offset < buffer.length) {
+            const marker = buffer.readUInt16BE(offset);
+            const length = buffer.readUInt16BE(offset + 2);
+            const isFrame = marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker);
+            if (isFrame) {
+                return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Write one resized copy unless an up-to-date one exists
+ * @param {Object} sharp
+ * @param {string} source
+ * @param {string} target
+ * @param {number} width
+ * @param {string} format
+ */
+async function writeVariant(sharp, source, target, width, format) {
+    if (fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs) return;
+    await sharp(source).resize({ width }).toFormat(format === 'jpg' ? 'jpeg' : format).toFile(target);
+}
+
+/**
+ * Build the variants and manifest entry for one source image
+ * @param {Object|null} sharp
+ * @param {string} name - File name inside images/
+ * @returns {Promise<Object>}
+ */
+async function buildImage(sharp, name) {
+    const source = path.join(IMAGES_DIR, name);
+    const dimensions = sharp ? await sharp(source).metadata() : readDimensions(source);
+    if (!dimensions) return null;
+
+    const entry = { width: dimensions.width, height: dimensions.height };
+    if (!sharp) return entry;
+
+    // Go by the real format: some .png files here are JPEG data
+    const originalFormat = dimensions.format === 'png' ? 'png' : 'jpg';
+    // Spaces in names ("air rifle.png") would break srcset
+    const slug = path.basename(name, path.extname(name)).replace(/\s+/g, '-');
+    const widths = WIDTHS.filter(width => width < entry.width);
+    const formats = [...MODERN_FORMATS, originalFormat];
+
+    for (const width of widths) {
+        for (const format of formats) {
+            await writeVariant(sharp, source, path.join(OUTPUT_DIR, `${slug}-${width}.${format}`), width, format);
+        }
+    }
+
+    const placeholder = await sharp(source).resize({ width: PLACEHOLDER_WIDTH }).blur().jpeg({ quality: 50 }).toBuffer();
+
+    return {
+        ...entry,
+        base: `images/optimized/${slug}`,
+        widths,
+        formats,
+        placeholder: `data:image/jpeg;base64,${placeholder.toString('base64')}`
+    };
+}
+
+/**
+ * Square icon: the logo's emblem and name, their margin faded out, centred on
+ * the logo's background colour (the logo itself is wider than it is tall)
+ * @param {Object} sharp
+ * @param {number} size - Icon width and height
+ * @param {number} scale - Share of the width the logo takes
+ * @param {Object} background - RGB colour
+ * @returns {Promise<Object>} sharp pipeline
+ */
+async function composeIcon(sharp, size, scale, background) {
+    const width = Math.round(size * scale);
+    const height = Math.round((width * ICON_CONTENT.height) / ICON_CONTENT.width);
+    const inset = Math.round(width * 0.04);
+    const fade = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <filter id="f"><feGaussianBlur stdDeviation="${inset / 2}"/></filter>
+        <rect x="${inset}" y="${inset}" width="${width - 2 * inset}" height="${height - 2 * inset}" fill="#fff" filter="url(#f)"/>
+    </svg>`);
+
+    const logo = await sharp(ICON_SOURCE)
+        .extract(ICON_CONTENT)
+        .resize(width, height)
+        .ensureAlpha()
+        .composite([{ input: fade, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+
+    return sharp({ create: { width: size, height: size, channels: 3, background } })
+        .composite([{ input: logo }])
+        .png();
+}
+
+/**
+ * Write the plain and maskable manifest icons in images/icons/
+ * @param {Object} sharp
+ */
+async function buildIcons(sharp) {
+    fs.mkdirSync(ICONS_DIR, { recursive: true });
+    const { dominant: background } = await sharp(ICON_SOURCE).stats();
+
+    for (const size of ICON_SIZES) {
+        await (await composeIcon(sharp, size, ICON_SCALE, background)).toFile(path.join(ICONS_DIR, `icon-${size}.png`));
+        await (await composeIcon(sharp, size, MASKABLE_SCALE, background)).toFile(path.join(ICONS_DIR, `icon-maskable-${size}.png`));
+    }
+
+    console.log(`Wrote ${ICON_SIZES.length * 2} app icons to ${path.relative(ROOT, ICONS_DIR)}`);
+}
+
+async function main() {
+    const broken = checkReferences();
+    if (process.argv.includes('--check')) {
+        process.exitCode = broken ? 1 : 0;
+        return;
+    }
+
+    const sharp = loadSharp();
+    if (sharp) {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    } else {
+        console.log('sharp is not installed - recording image sizes only (npm install --no-save sharp for variants)');
+    }
+
+    const names = fs.readdirSync(IMAGES_DIR)
+        .filter(name => SOURCE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort();
+
+    const images = {};
+    for (const name of names) {
+        const entry = await buildImage(sharp, name);
+        if (entry) images[`images/${name}`] = entry;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify({ images }, null, 4)}\n`);
+    console.log(`Wrote ${path.relative(ROOT, MANIFEST_PATH)} with ${Object.keys(images).length} images`);
+
+    if (sharp) await buildIcons(sharp);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,270 @@
+/**
+ * Share previews and structured data for the static pages.
+ *
+ * Usage:
+ *   node scripts/build-meta.js           Rewrite the generated block in each page's <head>
+ *   node scripts/build-meta.js --check   Exit 1 if any page's block is out of date
+ *
+ * WhatsApp, Facebook and search crawlers don't run script.js, so the tags are
+ * written into the HTML. Everything comes from content that is already there:
+ * each page's <title>, meta description and first photo,
+ * data/activities.json (activities, packages and their FAQs), data/faq.json
+ * and the "site" block in data/site.json. Run it again after changing any of
+ * those.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const BLOCK_START = '    <!-- Share previews and structured data (generated by scripts/build-meta.js) -->';
+const BLOCK_END = '    <!-- /generated -->';
+
+// trips: which catalogue list becomes TouristTrip entries;
+// faq: publish the activity FAQs ('activities') or the #faq section's questions ('shared');
+const PAGES = [
+    { file: 'index.html', trips: 'packages', faq: 'shared' },
+    { file: 'activities.html', trips: 'activities', faq: 'activities' },
+    { file: 'gallery.html' }
+];
+
+/**
+ * @param {string} file - Path relative to the repo root
+ * @returns {Object}
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * Turn a fragment of page markup into plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function toText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Escape text for a double-quoted attribute
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAttr(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Pull the title, description and lead image out of a page
+ * @param {string} html - Page markup without the generated block
+ * @returns {{title: string, description: string, image: string|null}}
+ */
+function readPage(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/);
+    const description = html.match(/<meta\s+name="description"\s+content="([^"]*)"/);
+    // The first photo in the page, inline CSS included; the logo and app icons are too small for a preview
+    const image = (html.match(/images\/[^\s"'()<>]+?\.(?:jpe?g|png)/gi) || [])
+        .find(src => src !== 'images/logo.jpg' && !src.startsWith('images/icons/'));
+
+    return {
+        title: title ? toText(title[1]) : '',
+        description: description ? toText(description[1]) : '',
+        image: image || null
+    };
+}
+
+/**
+ * Build the JSON-LD graph for one page
+ * @param {Object} page - Entry from PAGES
+ * @param {string} url - The page's canonical URL
+ * @param {Object} content - Result of readPage
+ * @param {Object} site - "site" block of data/site.json
+ * @param {Object} catalogue - data/activities.json
+ * @param {Object[]} sharedFaq - data/faq.json "questions"
+ * @returns {Object}
+ */
+function buildGraph(page, url, content, site, catalogue, sharedFaq) {
+    const absolute = relative => new URL(relative, site.url).href;
+    const businessId = `${site.url}#business`;
+
+    const business = {
+        '@type': ['TouristAttraction', 'LocalBusiness'],
+        '@id': businessId,
+        name: site.name,
+        description: site.description,
+        url: site.url,
+        image: absolute(site.image),
+        logo: absolute(site.logo),
+        email: site.email,
+        address: {
+            '@type': 'PostalAddress',
+            addressLocality: site.locality,
+            addressCountry: site.country
+        }
+    };
+
+    // No aggregateRating or review here: search engines treat ratings a business
+    // publishes about itself as self-serving and ignore or flag them
+    const graph = [business];
+
+    // Activities have their own detail route; packages are cards in #experiences
+    (catalogue[page.trips] || []).forEach(entry => {
+        graph.push({
+            '@type': 'TouristTrip',
+            '@id': `${url}#trip-${entry.id}`,
+            name: entry.title,
+            description: entry.description,
+            image: absolute(entry.image),
+            url: page.trips === 'activities' ? absolute(`activities.html#/${entry.id}`) : `${url}#experiences`,
+            provider: { '@id': businessId },
+            offers: {
+                '@type': 'Offer',
+                price: entry.price,
+                priceCurrency: 'LKR',
+                url: `${url}#book`
+            }
+        });
+    });
+
+    if (page.faq) {
+        const questions = page.faq === 'shared'
+            ? sharedFaq
+            : catalogue.activities.flatMap(activity => activity.faq || []);
+        if (questions.length) {
+            graph.push({
+                '@type': 'FAQPage',
+                mainEntity: questions.map(item => ({
+                    '@type': 'Question',
+                    name: item.question,
+                    acceptedAnswer: { '@type': 'Answer', text: item.answer }
+                }))
+            });
+        }
+    }
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+/**
+ * Render the generated <head> block for one page
+ * @param {Object} page - Entry from PAGES
+ * @param {string} html - Page markup without the generated block
+ * @param {Object} site
+ * @param {Object} catalogue
+ * @param {Object[]} sharedFaq
+ * @param {Object} imageSizes - data/images.json "images"
+ * @returns {string}
+ */
+function renderBlock(page, html, site, catalogue, sharedFaq, imageSizes) {
+    const content = readPage(html);
+    const url = new URL(page.file === 'index.html' ? '' : page.file, site.url).href;
+    const image = content.image || site.image;
+    const size = imageSizes[image];
+
+    const meta = [
+        ['link', 'canonical', url],
+        ['og:type', 'website'],
+        ['og:site_name', site.name],
+        ['og:title', content.title],
+        ['og:description', content.description],
+        ['og:url', url],
+        ['og:image', new URL(image, site.url).href],
+        ...(size ? [['og:image:width', size.width], ['og:image:height', size.height]] : []),
+        ['og:locale', 'en_US'],
+        ['og:locale:alternate', 'si_LK'],
+        ['twitter:card', 'summary_large_image'],
+        ['twitter:title', content.title],
+        ['twitter:description', content.description],
+        ['twitter:image', new URL(image, site.url).href]
+    ].map(([name, value, href]) => {
+        if (name === 'link') return `    <link rel="${value}" href="${escapeAttr(href)}">`;
+        const attr = name.startsWith('twitter:') ? 'name' : 'property';
+        return `    <meta ${attr}="${name}" content="${escapeAttr(value)}">`;
+    });
+
+    // "</" would end the script element early
+    const jsonLd = JSON.stringify(buildGraph(page, url, content, site, catalogue, sharedFaq), null, 4)
+        .replace(/<\//g, '<\\/')
+        .split('\n')
+        .map(line => `    ${line}`)
+        .join('\n');
+
+    return [
+        BLOCK_START,
+        ...meta,
+        '    <script type="application/ld+json">',
+        jsonLd,
+        '    </script>',
+        BLOCK_END
+    ].join('\n');
+}
+
+/**
+ * Replace the page's generated block, or add one after <title>
+ * @param {string} html
+ * @param {string} block
+ * @returns {string}
+ */
+function insertBlock(html, block) {
+    const start = html.indexOf(BLOCK_START);
+    if (start !== -1) {
+        const end = html.indexOf(BLOCK_END, start) + BLOCK_END.length;
+        return html.slice(0, start) + block + html.slice(end);
+    }
+    return html.replace(/(<title[^>]*>[\s\S]*?<\/title>\n)/, `$1\n${block}\n`);
+}
+
+/**
+ * @param {string} html
+ * @returns {string} The page without its generated block
+ */
+function stripBlock(html) {
+    const start = html.indexOf(BLOCK_START);
+    if (start === -1) return html;
+    const end = html.indexOf(BLOCK_END, start) + BLOCK_END.length;
+    return html.slice(0, start) + html.slice(end);
+}
+
+function main() {
+    const { site } = readJSON('data/site.json');
+    const catalogue = readJSON('data/activities.json');
+    const { questions: sharedFaq } = readJSON('data/faq.json');
+    const { images } = readJSON('data/images.json');
+    const check = process.argv.includes('--check');
+    let stale = 0;
+
+    PAGES.forEach(page => {
+        const file = path.join(ROOT, page.file);
+        const html = fs.readFileSync(file, 'utf8');
+        const updated = insertBlock(html, renderBlock(page, stripBlock(html), site, catalogue, sharedFaq, images));
+
+        if (updated === html) return;
+        stale += 1;
+
+        if (check) {
+            console.log(`${page.file}  share metadata is out of date`);
+        } else {
+            fs.writeFileSync(file, updated);
+            console.log(`Updated ${page.file}`);
+        }
+    });
+
+    if (check) {
+        console.log(stale ? `${stale} page(s) need node scripts/build-meta.js` : 'Share metadata is up to date');
+        process.exitCode = stale ? 1 : 0;
+    } else if (!stale) {
+        console.log('Share metadata is up to date');
+    }
+}
+
+main();
@@ -0,0 +1,102 @@
+/**
+ * Local mock for the "json" booking backend.
+ *
+ * Usage:
+ *   node scripts/mock-booking-server.js [port]
+ *
+ * Then set "backend": "json" in data/site.json (the default endpoint is
+ * http://localhost:8787/bookings). Bookings are logged to the terminal.
+ * Leave the email empty to get a 422 with field errors back.
+ *
+ * It also logs analytics events sent to /events by the "beacon" sink
+ * (set "endpoint": "http://localhost:8787/events" under "analytics.beacon"
+ * in data/site.json; with no endpoint the sink stays off).
+ */
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Mirror the client-side required fields
+ * @param {Object} booking
+ * @returns {Object<string, string>} Field → message
+ */
+function validateBooking(booking) {
+    const errors = {};
+    if (!booking.name) errors.name = 'Name is required';
+    if (!booking.email) errors.email = 'Email is required';
+    if (!booking.date) errors.date = 'Date is required';
+    return errors;
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || !['/bookings', '/events'].includes(req.url)) {
+        sendJSON(res, 404, { message: 'Not found' });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+
+    // sendBeacon posts the event as text/plain JSON and ignores the response
+    if (req.url === '/events') {
+        req.on('end', () => {
+            console.log('Event:', raw);
+            res.writeHead(204, CORS_HEADERS);
+            res.end();
+        });
+        return;
+    }
+
+    req.on('end', () => {
+        let booking;
+        try {
+            booking = JSON.parse(raw);
+        } catch (error) {
+            sendJSON(res, 400, { message: 'Body must be JSON' });
+            return;
+        }
+
+        const errors = validateBooking(booking);
+        if (Object.keys(errors).length) {
+            sendJSON(res, 422, { errors });
+            return;
+        }
+
+        const id = Date.now().toString(36);
+        console.log(`Booking ${id}:`, booking);
+        sendJSON(res, 201, { ok: true, id });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock booking server listening on http://localhost:${PORT}/bookings`);
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the promo code and gift voucher rules (voucher-rules.js).
+ *
+ * Usage:
+ *   node --test           From the repo root; finds this file by its .test.js name
+ *
+ * The rules have no DOM access, so they run here without a browser. Offers
+ * are defined inline so changing data/vouchers.json never breaks the tests.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const VoucherRules = require('../voucher-rules.js');
+
+const RULES = [
+    { series: 'SN26', type: 'percent', amount: 10, validFrom: '2026-05-01', validTo: '2026-10-31' },
+    { series: 'TM27', type: 'percent', amount: 15, minGuests: 10, activities: ['funGames', 'paintball'] },
+    { series: 'GV5K', type: 'fixed', amount: 5000 },
+    { series: 'GVCN', type: 'fixed', amount: 15000, activities: ['campNight'] }
+];
+
+const SEASON_CODE = VoucherRules.addCheckCharacter('SN26-7K3M');
+const TEAM_CODE = VoucherRules.addCheckCharacter('TM27-H4QX');
+const GIFT_CODE = VoucherRules.addCheckCharacter('GV5K-7K3M');
+const CAMP_CODE = VoucherRules.addCheckCharacter('GVCN-A2B3');
+
+/**
+ * @param {Object} [overrides]
+ * @returns {{date: string, guests: number, items: Array<{id: string, total: number}>}}
+ */
+function booking(overrides = {}) {
+    return {
+        date: '2026-10-20',
+        guests: 4,
+        items: [{ id: 'kayaking', total: 18000 }, { id: 'funGames', total: 10000 }],
+        ...overrides
+    };
+}
+
+test('normalizeCode upper-cases, drops spaces and restores the dashes', () => {
+    assert.equal(VoucherRules.normalizeCode(' sn26 7k3m 9 '), 'SN26-7K3M-9');
+    assert.equal(VoucherRules.normalizeCode('sn26-7k3m-9'), 'SN26-7K3M-9');
+    assert.equal(VoucherRules.normalizeCode('abc'), 'ABC');
+    assert.equal(VoucherRules.normalizeCode(null), '');
+});
+
+test('hasValidFormat needs 4-4-1 characters from the code alphabet', () => {
+    assert.ok(VoucherRules.hasValidFormat('SN26-7K3M-9'));
+    assert.ok(!VoucherRules.hasValidFormat('SN26-7K3M'));
+    assert.ok(!VoucherRules.hasValidFormat('SN26-7K3M-99'));
+    // 0, O, 1 and I are left out as look-alikes
+    assert.ok(!VoucherRules.hasValidFormat('GF05-7K3M-9'));
+    assert.ok(!VoucherRules.hasValidFormat('SNI6-7K3M-9'));
+});
+
+test('computeCheckCharacter follows Luhn mod 32', () => {
+    // Worked by hand: from the right, values alternate ×2 and ×1, a product of 32 or
+    // more is folded into its base-32 digits, and the check brings the sum to a multiple of 32.
+    // '3' is 1: 4 × 2 + 4 × 1 = 12, check 20 ('N')
+    assert.equal(VoucherRules.computeCheckCharacter('33333333'), 'N');
+    // 'Z' is 31: 62 folds to 1 + 30, so 4 × 31 + 4 × 31 = 248, check 8 ('A')
+    assert.equal(VoucherRules.computeCheckCharacter('ZZZZZZZZ'), 'A');
+    assert.equal(VoucherRules.computeCheckCharacter('SN267K3M'), '9');
+    assert.equal(SEASON_CODE, 'SN26-7K3M-9');
+});
+
+test('hasValidChecksum catches every single-character typo and adjacent swap', () => {
+    assert.ok(VoucherRules.hasValidChecksum(SEASON_CODE));
+
+    const payload = SEASON_CODE.replace(/-/g, '');
+    const withPayload = chars => `${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars[8]}`;
+
+    for (let i = 0; i < payload.length; i++) {
+        for (const char of VoucherRules.CODE_ALPHABET) {
+            if (char === payload[i]) continue;
+            const typo = payload.slice(0, i) + char + payload.slice(i + 1);
+            assert.ok(!VoucherRules.hasValidChecksum(withPayload(typo)), `typo at ${i}: ${typo}`);
+        }
+    }
+
+    for (let i = 0; i < payload.length - 1; i++) {
+        if (payload[i] === payload[i + 1]) continue;
+        const swapped = payload.slice(0, i) + payload[i + 1] + payload[i] + payload.slice(i + 2);
+        assert.ok(!VoucherRules.hasValidChecksum(withPayload(swapped)), `swap at ${i}: ${swapped}`);
+    }
+});
+
+test('evaluate rejects badly formed, mistyped and unknown codes', () => {
+    assert.equal(VoucherRules.evaluate('SN26', RULES, booking()).reason, 'format');
+    assert.equal(VoucherRules.evaluate('SN26-7K3M-8', RULES, booking()).reason, 'checksum');
+
+    const unknown = VoucherRules.addCheckCharacter('ZZZZ-7K3M');
+    assert.equal(VoucherRules.evaluate(unknown, RULES, booking()).reason, 'unknown');
+});
+
+test('evaluate checks the visit date against the offer dates', () => {
+    assert.ok(VoucherRules.evaluate(SEASON_CODE, RULES, booking({ date: '2026-05-01' })).valid);
+    assert.ok(VoucherRules.evaluate(SEASON_CODE, RULES, booking({ date: '2026-10-31' })).valid);
+
+    const early = VoucherRules.evaluate(SEASON_CODE, RULES, booking({ date: '2026-04-30' }));
+    assert.equal(early.reason, 'dates');
+    assert.deepEqual(early.params, { from: '2026-05-01', to: '2026-10-31' });
+    assert.equal(VoucherRules.evaluate(SEASON_CODE, RULES, booking({ date: '2026-11-01' })).reason, 'dates');
+
+    // No date chosen yet: the range waits
+    assert.ok(VoucherRules.evaluate(SEASON_CODE, RULES, booking({ date: '' })).valid);
+});
+
+test('evaluate enforces the minimum group size', () => {
+    const small = VoucherRules.evaluate(TEAM_CODE, RULES, booking({ guests: 9 }));
+    assert.equal(small.reason, 'minGuests');
+    assert.deepEqual(small.params, { min: 10 });
+    assert.ok(VoucherRules.evaluate(TEAM_CODE, RULES, booking({ guests: 10 })).valid);
+});
+
+test('evaluate needs at least one allowed activity', () => {
+    const result = VoucherRules.evaluate(TEAM_CODE, RULES, booking({ guests: 12, items: [{ id: 'kayaking', total: 54000 }] }));
+    assert.equal(result.reason, 'activities');
+});
+
+test('percent discounts apply to the allowed activities only, rounded to the rupee', () => {
+    assert.equal(VoucherRules.evaluate(SEASON_CODE, RULES, booking()).discount, 2800);
+
+    const team = VoucherRules.evaluate(TEAM_CODE, RULES, booking({ guests: 12 }));
+    assert.equal(team.discount, 1500);
+    assert.equal(team.code, TEAM_CODE);
+
+    const rule = { type: 'percent', amount: 15 };
+    assert.equal(VoucherRules.calculateDiscount(rule, [{ id: 'a', total: 3333 }]), 500);
+});
+
+test('fixed discounts never exceed what they apply to', () => {
+    assert.equal(VoucherRules.evaluate(GIFT_CODE, RULES, booking()).discount, 5000);
+    assert.equal(VoucherRules.evaluate(GIFT_CODE, RULES, booking({ items: [{ id: 'riverBath', total: 3000 }] })).discount, 3000);
+
+    const camp = VoucherRules.evaluate(CAMP_CODE, RULES, booking({ items: [{ id: 'campNight', total: 30000 }, { id: 'kayaking', total: 9000 }] }));
+    assert.equal(camp.discount, 15000);
+});
@@ -0,0 +1,184 @@
+/**
+ * Service worker: keeps the site usable inside the park, where there is no signal.
+ *
+ * - Pages, styles, scripts, partials, data and key images are precached on install.
+ * - Pages and everything they run on (script.js, style.css, partials, data/,
+ *   content/) come from the network when there is one, refreshing the cached copy
+ *   used offline. Serving them together keeps a deploy consistent: new pages never
+ *   run against an old script or old partials, and data changes (new dates in
+ *   data/schedule.json) show up without a CACHE_VERSION bump.
+ * - Gallery and other images are cached as they are viewed, up to IMAGE_CACHE_LIMIT.
+ * - The video streams in ranges and is too large to keep, so it is never cached.
+ * - A page that was never cached falls back to offline.html.
+ *
+ * Bump CACHE_VERSION whenever a precached file changes. The new worker then
+ * waits, script.js shows an "update available" toast, and its Reload button
+ * sends SKIP_WAITING so the new version takes over.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'v10';
+const PRECACHE = `uac-precache-${CACHE_VERSION}`;
+const IMAGE_CACHE = `uac-images-${CACHE_VERSION}`;
+const IMAGE_CACHE_LIMIT = 80;
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'activities.html',
+    'gallery.html',
+    OFFLINE_PAGE,
+    'style.css',
+    'script.js',
+    'voucher-rules.js',
+    'manifest.webmanifest',
+    'partials/header.html',
+    'partials/footer.html',
+    'partials/booking.html',
+    'partials/lightbox.html',
+    'partials/video.html',
+    'data/activities.json',
+    'data/blog.json',
+    'data/currencies.json',
+    'data/faq.json',
+    'data/gallery.json',
+    'data/images.json',
+    'data/reviews.json',
+    'data/schedule.json',
+    'data/site.json',
+    'data/team.json',
+    'data/vouchers.json',
+    'data/i18n/en.json',
+    'data/i18n/si.json',
+    'content/story.md',
+    'content/terms.md',
+    'content/privacy.md',
+    'content/blog/first-paddle.md',
+    'content/blog/packing-list.md',
+    'images/logo.jpg',
+    'images/hero_jungle_river.jpg',
+    'images/kayaking_paddle_view.jpg',
+    'images/archer_focus_closeup.jpg',
+    'images/target_range_scene.png',
+    'images/camping_tent_dusk.jpg',
+    'images/team_games_field.jpg',
+    'images/open_landscape_sky.jpg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', event => {
+    const current = [PRECACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('uac-') && !current.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ * @param {string} name - Cache name
+ * @param {number} limit - Entries to keep
+ * @returns {Promise<void>}
+ */
+async function trimCache(name, limit) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Fetch from the network and keep the response as the offline copy
+ * @param {Request} request
+ * @param {Request|string} key - Cache entry to refresh
+ * @returns {Promise<Response>}
+ */
+async function fetchAndCache(request, key) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(PRECACHE);
+        await cache.put(key, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Pages: the network, then the cached copy (ignoring ?category= and the
+ * like), then the offline page
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    // One cached copy per page, whatever its query string
+    const url = new URL(request.url);
+    url.search = '';
+
+    try {
+        return await fetchAndCache(request, url.href);
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || caches.match(OFFLINE_PAGE);
+    }
+}
+
+/**
+ * Scripts, styles, partials, data and content: the network, then the cached copy
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleAsset(request) {
+    try {
+        return await fetchAndCache(request, request);
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Images: cache first, then the network, keeping a copy of what was fetched
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleImage(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(IMAGE_CACHE);
+        await cache.put(request, response.clone());
+        trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT);
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Booking submissions, fonts, other sites and the video go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.includes('/videos/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image' || url.pathname.includes('/images/')) {
+        event.respondWith(handleImage(request));
+    } else {
+        event.respondWith(handleAsset(request));
+    }
+});
@@ -0,0 +1,139 @@
+/**
+ * Promo code and gift voucher rules for the booking form.
+ *
+ * Codes look like SN26-7K3M-9: a four-character series naming the offer in
+ * data/vouchers.json, a four-character serial, then a check character that
+ * catches typos (Luhn mod 32 over CODE_ALPHABET). The camp team still checks
+ * every code when confirming a booking; this only gives guests early feedback.
+ *
+ * There is no DOM access, so the rules run in Node as well as the browser:
+ *   const VoucherRules = require('./voucher-rules.js');
+ *   VoucherRules.addCheckCharacter('SN26-7K3M');   // SN26-7K3M-9, a new code for the SN26 offer
+ *   VoucherRules.evaluate(code, rules, { date: '2026-10-20', guests: 4, items: [{ id: 'kayaking', total: 18000 }] });
+ *
+ * Pages load it before script.js, which reads it as window.VoucherRules.
+ * Tests: node --test (scripts/voucher-rules.test.js).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.VoucherRules = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // 32 characters without the look-alikes 0/O and 1/I
+    const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+    const CODE_PATTERN = new RegExp(`^([${CODE_ALPHABET}]{4})-([${CODE_ALPHABET}]{4})-([${CODE_ALPHABET}])$`);
+
+    /**
+     * Tidy what a guest typed: upper case, spaces dropped, dashes added back
+     * @param {string} code
+     * @returns {string}
+     */
+    function normalizeCode(code) {
+        const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return compact.length === 9 ? `${compact.slice(0, 4)}-${compact.slice(4, 8)}-${compact.slice(8)}` : compact;
+    }
+
+    /**
+     * Luhn mod N check character for a series and serial
+     * @param {string} payload - e.g. SN267K3M (no dashes)
+     * @returns {string}
+     */
+    function computeCheckCharacter(payload) {
+        const base = CODE_ALPHABET.length;
+        let factor = 2;
+        let sum = 0;
+
+        for (let i = payload.length - 1; i >= 0; i--) {
+            const addend = factor * CODE_ALPHABET.indexOf(payload[i]);
+            sum += Math.floor(addend / base) + (addend % base);
+            factor = factor === 2 ? 1 : 2;
+        }
+
+        return CODE_ALPHABET[(base - (sum % base)) % base];
+    }
+
+    /**
+     * Complete a series-serial pair into a full code
+     * @param {string} code - e.g. SN26-7K3M
+     * @returns {string} e.g. SN26-7K3M-9
+     */
+    function addCheckCharacter(code) {
+        const compact = normalizeCode(code).replace(/-/g, '');
+        return `${compact.slice(0, 4)}-${compact.slice(4, 8)}-${computeCheckCharacter(compact)}`;
+    }
+
+    /**
+     * @param {string} code - Normalised code
+     * @returns {boolean}
+     */
+    function hasValidFormat(code) {
+        return CODE_PATTERN.test(code);
+    }
+
+    /**
+     * @param {string} code - Normalised code in the right format
+     * @returns {boolean}
+     */
+    function hasValidChecksum(code) {
+        const [, series, serial, check] = CODE_PATTERN.exec(code) || [];
+        return Boolean(check) && computeCheckCharacter(series + serial) === check;
+    }
+
+    /**
+     * Discount a rule gives on the booking's eligible items
+     * @param {Object} rule - Entry from data/vouchers.json
+     * @param {Array<{id: string, total: number}>} items - Group total per chosen activity, in rupees
+     * @returns {number} Rupees
+     */
+    function calculateDiscount(rule, items) {
+        const eligible = rule.activities ? items.filter(item => rule.activities.includes(item.id)) : items;
+        const base = eligible.reduce((sum, item) => sum + item.total, 0);
+
+        return rule.type === 'percent'
+            ? Math.round((base * rule.amount) / 100)
+            : Math.min(rule.amount, base);
+    }
+
+    /**
+     * Check a code against the rules and the booking it is used on
+     * @param {string} code - As typed
+     * @param {Object[]} rules - data/vouchers.json "vouchers"
+     * @param {{date?: string, guests: number, items: Array<{id: string, total: number}>}} booking
+     *   date is the visit day (YYYY-MM-DD); the range check waits until one is chosen
+     * @returns {{valid: boolean, code: string, reason?: string, params?: Object, rule?: Object, discount?: number}}
+     */
+    function evaluate(code, rules, booking) {
+        const normalized = normalizeCode(code);
+        const fail = (reason, params = {}) => ({ valid: false, code: normalized, reason, params });
+
+        if (!hasValidFormat(normalized)) return fail('format');
+        if (!hasValidChecksum(normalized)) return fail('checksum');
+
+        const rule = rules.find(candidate => candidate.series === normalized.slice(0, 4));
+        if (!rule) return fail('unknown');
+
+        const { date, guests, items } = booking;
+        if (date && ((rule.validFrom && date < rule.validFrom) || (rule.validTo && date > rule.validTo))) {
+            return fail('dates', { from: rule.validFrom, to: rule.validTo });
+        }
+        if (rule.minGuests && guests < rule.minGuests) return fail('minGuests', { min: rule.minGuests });
+        if (rule.activities && !items.some(item => rule.activities.includes(item.id))) return fail('activities');
+
+        return { valid: true, code: normalized, rule, discount: calculateDiscount(rule, items) };
+    }
+
+    return {
+        CODE_ALPHABET,
+        normalizeCode,
+        computeCheckCharacter,
+        addCheckCharacter,
+        hasValidFormat,
+        hasValidChecksum,
+        calculateDiscount,
+        evaluate
+    };
+}));